@@ -0,0 +1,156 @@
+/**
+ * Staff Activity Tab
+ * Shows the worker's append-only log of staff actions (exclusions, resets, triggers, policy edits)
+ */
+
+import api from './api.js?v=32';
+import {
+  formatDate,
+  showError,
+  debounce,
+  escapeHTML
+} from './utils.js?v=32';
+
+const ACTION_LABELS = {
+  'exclusion.add': 'Added exclusion',
+  'exclusion.update': 'Changed exclusion',
+  'exclusion.remove': 'Lifted exclusion',
+  'exclusion.expire': 'Exclusion expired',
+  'exclusion.import': 'Imported exclusions',
+  'policy.update': 'Updated policy',
+  'notifications.update': 'Updated alert routing',
+  'notifications.test': 'Tested alert channel',
+  'audit.trigger': 'Ran audit',
+  'live-check': 'Ran live check',
+  'enrich': 'Ran enrichment',
+  'reset': 'Reset audit data',
+  'reset.init': 'Reset audit data',
+  'apikey.issue': 'Issued API key',
+  'apikey.revoke': 'Revoked API key',
+  'loa.add': 'Recorded LOA',
+  'loa.update': 'Changed LOA',
+  'loa.remove': 'Removed LOA',
+  'violation.acknowledge': 'Acknowledged incident',
+  'violation.resolve': 'Resolved incident'
+};
+
+const PAGE_SIZE = 50;
+
+let entries = [];
+let nextCursor = null;
+let filters = { actor: '', cid: '', action: '' };
+
+/**
+ * Short human-readable summary of an entry's details
+ * @param {object} entry - Audit log entry
+ * @returns {string}
+ */
+function describeDetails(entry) {
+  const d = entry.details;
+  if (!d) return '';
+  if (entry.action === 'policy.update') return `v${d.version}: ${(d.fields || []).join(', ')}`;
+  if (entry.action.startsWith('apikey.')) return `${d.label} (${d.role})`;
+  if (entry.action === 'notifications.update') {
+    const channels = (d.channels || []).join('; ') || 'Reverted to the default webhook';
+    return d.callsignRoutes?.length ? `${channels} | Routes: ${d.callsignRoutes.join('; ')}` : channels;
+  }
+  if (entry.action === 'notifications.test') return `${d.channel}: ${d.ok ? 'delivered' : d.error}`;
+  if (entry.action === 'audit.trigger' && d.snapshot) return `Snapshot ${d.snapshot}`;
+  if (entry.action.startsWith('loa.') && d.start) return `${d.start} to ${d.end}`;
+  if (entry.action.startsWith('violation.') && d.type) return `${d.type}${d.callsign ? ` on ${d.callsign}` : ''}`;
+  if (entry.action === 'exclusion.import') {
+    const counts = [['added', d.added], ['changed', d.updated], ['lifted', d.removed]]
+      .filter(([, cids]) => cids?.length)
+      .map(([verb, cids]) => `${verb} ${cids.join(', ')}`);
+    return `${d.mode}: ${counts.join('; ') || 'no changes'}`;
+  }
+  if (entry.action.startsWith('exclusion.') && d.scope) {
+    return `${d.scope.join(', ')}${d.expiresAt ? ` until ${formatDate(d.expiresAt, false)}` : ''}`;
+  }
+  return '';
+}
+
+function renderActivityTable() {
+  const tbody = document.getElementById('activityTableBody');
+  const moreBtn = document.getElementById('activityMoreBtn');
+  if (!tbody) return;
+
+  if (entries.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="5" style="text-align: center;">
+          <div class="empty-state">
+            <div class="empty-state-icon">📭</div>
+            <p>No staff actions match these filters</p>
+          </div>
+        </td>
+      </tr>
+    `;
+  } else {
+    tbody.innerHTML = entries.map(entry => {
+      const actor = escapeHTML(entry.actorName ? `${entry.actorName} (${entry.actor})` : entry.actor);
+      const action = escapeHTML(ACTION_LABELS[entry.action] || entry.action);
+      const details = describeDetails(entry);
+      return `
+        <tr>
+          <td>${escapeHTML(formatDate(entry.at))}</td>
+          <td>${actor}</td>
+          <td>${action}${details ? `<small class="hours-needed">${escapeHTML(details)}</small>` : ''}</td>
+          <td>${escapeHTML(entry.cid || '—')}</td>
+          <td>${escapeHTML(entry.reason || '—')}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  if (moreBtn) moreBtn.style.display = nextCursor ? '' : 'none';
+}
+
+/**
+ * Load the first page of staff actions for the current filters
+ * @param {boolean} [append=false] - Load the next page onto the current list instead
+ */
+export async function loadActivityLog(append = false) {
+  try {
+    const result = await api.getAuditLog({
+      ...filters,
+      limit: PAGE_SIZE,
+      cursor: append ? nextCursor : null
+    });
+    entries = append ? entries.concat(result.entries || []) : (result.entries || []);
+    nextCursor = result.cursor || null;
+    renderActivityTable();
+  } catch (error) {
+    console.error('Failed to load staff activity:', error);
+    showError(`Failed to load staff activity: ${error.message}`);
+  }
+}
+
+/**
+ * Wire up the activity tab's filters and "load more" button
+ */
+export function setupActivityTab() {
+  const reload = debounce(() => loadActivityLog(), 300);
+
+  for (const field of ['actor', 'cid']) {
+    const input = document.getElementById(`activity${field === 'cid' ? 'Cid' : 'Actor'}Filter`);
+    if (!input) continue;
+    input.addEventListener('input', (event) => {
+      filters[field] = event.target.value.trim();
+      reload();
+    });
+  }
+
+  const actionSelect = document.getElementById('activityActionFilter');
+  if (actionSelect) {
+    actionSelect.addEventListener('change', (event) => {
+      filters.action = event.target.value;
+      loadActivityLog();
+    });
+  }
+
+  const moreBtn = document.getElementById('activityMoreBtn');
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => loadActivityLog(true));
+  }
+}
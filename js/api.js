@@ -5,26 +5,70 @@
 
 const API_BASE = 'https://vatsimactivitybot.therealleviticus.workers.dev/api';
 const KV_API_BASE = 'https://kv-reader.therealleviticus.workers.dev/api';
+const TOKEN_STORAGE_KEY = 'vatpac_auth_token';
 
 class WatchlistAPI {
   constructor(baseURL = API_BASE) {
     this.baseURL = baseURL;
   }
 
+  /**
+   * Get the stored bearer token (login session or API key), if any
+   * @returns {string|null}
+   */
+  getToken() {
+    try {
+      return localStorage.getItem(TOKEN_STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store the bearer token sent with every request
+   * @param {string} token - Session from VATSIM login, or a key issued via /api/auth/keys
+   */
+  setToken(token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  }
+
+  /**
+   * Forget the stored bearer token
+   */
+  clearToken() {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+
+  /**
+   * Pick up the session the login callback appends to the page URL (#session=...)
+   * @returns {boolean} True if a new session was stored
+   */
+  consumeLoginRedirect() {
+    const match = window.location.hash.match(/^#session=([\w.-]+)$/);
+    if (!match) return false;
+    this.setToken(match[1]);
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return true;
+  }
+
   /**
    * Make a request to the API
    * @param {string} endpoint - API endpoint (e.g., '/watchlist')
-   * @param {object} options - Fetch options
+   * @param {object} options - Fetch options; responseType: 'text' returns the raw body
    * @returns {Promise<any>} JSON response
    */
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
+    const token = this.getToken();
+    const { responseType, ...fetchOptions } = options;
 
     try {
       const response = await fetch(url, {
-        ...options,
+        credentials: 'include',
+        ...fetchOptions,
         headers: {
           'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
           ...options.headers
         }
       });
@@ -33,10 +77,13 @@ class WatchlistAPI {
         const error = await response.json().catch(() => ({
           error: `HTTP ${response.status}: ${response.statusText}`
         }));
-        throw new Error(error.error || error.message || `HTTP ${response.status}`);
+        const err = new Error(error.error || error.message || `HTTP ${response.status}`);
+        err.status = response.status;
+        err.body = error;
+        throw err;
       }
 
-      return await response.json();
+      return responseType === 'text' ? await response.text() : await response.json();
     } catch (error) {
       // Re-throw with more context
       if (error.message.includes('Failed to fetch')) {
@@ -118,6 +165,57 @@ class WatchlistAPI {
     return this.request('/audit/local');
   }
 
+  /**
+   * Get local controllers flagged for an endorsement they have not used recently
+   * @returns {Promise<{flagged: Array, endorsementCurrencyMonths: object, lastRun: string}>}
+   */
+  async getEndorsementAudit() {
+    return this.request('/audit/endorsements');
+  }
+
+  /**
+   * Get the list of stored daily audit snapshots (newest first)
+   * @returns {Promise<{snapshots: Array<{date: string, savedAt: string, visiting: object, local: object}>, retentionDays: number}>}
+   */
+  async getAuditHistory() {
+    return this.request('/audit/history');
+  }
+
+  /**
+   * Compare two daily audit snapshots
+   * @param {string} [from] - Earlier snapshot date (YYYY-MM-DD), defaults to the previous run
+   * @param {string} [to] - Later snapshot date (YYYY-MM-DD), defaults to the latest run
+   * @returns {Promise<{from: string, to: string, visiting: object, local: object}>}
+   */
+  async getAuditDiff(from, to) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    return this.request(`/audit/diff${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Get a weekly or monthly digest: flagged/cleared controllers, hours, top positions, repeat violators (staff only)
+   * @param {'weekly'|'monthly'} [period='weekly']
+   * @param {string} [end] - Date (YYYY-MM-DD) picking the week before that Monday or the month before that month; defaults to the latest
+   * @returns {Promise<{period: string, from: string, to: string, audit: object, hours: object, violations: object}>}
+   */
+  async getDigest(period = 'weekly', end) {
+    const params = new URLSearchParams({ period });
+    if (end) params.set('end', end);
+    return this.request(`/digest?${params}`);
+  }
+
+  /**
+   * Get a controller's combined currency profile (sessions, TMS, enrichment, exclusion)
+   * @param {string|number} cid - Controller CID
+   * @returns {Promise<object>}
+   */
+  async getController(cid) {
+    return this.request(`/controller/${cid}`);
+  }
+
   /**
    * Run a manual audit for a controller
    * @param {'visiting'|'local'} type - Audit type
@@ -131,30 +229,167 @@ class WatchlistAPI {
     });
   }
 
+  // ==================== Currency Policy Endpoints ====================
+
+  /**
+   * Get the current currency policy
+   * @param {number} [version] - Fetch an archived policy version instead
+   * @returns {Promise<{policy: object, isDefault?: boolean}>}
+   */
+  async getPolicy(version) {
+    return this.request(version != null ? `/policy?version=${version}` : '/policy');
+  }
+
+  /**
+   * Store a new currency policy version
+   * @param {object} changes - Policy fields to change; omitted fields carry over
+   * @returns {Promise<{success: boolean, policy: object}>}
+   */
+  async updatePolicy(changes) {
+    return this.request('/policy', {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  // ==================== Notification Channel Endpoints ====================
+
+  /**
+   * Get the alert channels, which categories each receives and the callsign routes (secrets redacted)
+   * @returns {Promise<{channels: object[], callsignRoutes: object[], isDefault: boolean, categories: string[], types: string[]}>}
+   */
+  async getNotificationChannels() {
+    return this.request('/notifications');
+  }
+
+  /**
+   * Replace the alert channel list; channels that omit a secret keep the stored one
+   * @param {object[]} channels - Channels ({id, type, categories, ...type settings})
+   * @param {object[]} [callsignRoutes] - Live-alert routes ({name, prefixes, suffixes, channels, mention});
+   *   omit to keep the stored routes
+   * @returns {Promise<{success: boolean, channels: object[], callsignRoutes: object[]}>}
+   */
+  async updateNotificationChannels(channels, callsignRoutes) {
+    return this.request('/notifications', {
+      method: 'PUT',
+      body: JSON.stringify({ channels, callsignRoutes })
+    });
+  }
+
+  /**
+   * Send a test message to one channel
+   * @param {string} channel - Channel id
+   * @returns {Promise<{success: boolean, channel: string, ok: boolean, error?: string}>}
+   */
+  async testNotificationChannel(channel) {
+    return this.request('/notifications/test', {
+      method: 'POST',
+      body: JSON.stringify({ channel })
+    });
+  }
+
+  // ==================== Leave of Absence Endpoints ====================
+
+  /**
+   * Get recorded leaves of absence (staff only)
+   * @param {{cid?: string, status?: 'active'|'upcoming'|'past'}} [filters]
+   * @returns {Promise<{loas: Array<{id: string, cid: string, start: string, end: string, note: string|null, status: string}>}>}
+   */
+  async getLoas(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.cid) params.set('cid', filters.cid);
+    if (filters.status) params.set('status', filters.status);
+    const query = params.toString();
+    return this.request(`/loa${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Record a leave of absence
+   * @param {{cid: string, start: string, end: string, note?: string}} loa - Inclusive YYYY-MM-DD dates
+   * @returns {Promise<{success: boolean, loa: object}>}
+   */
+  async addLoa(loa) {
+    return this.request('/loa', {
+      method: 'POST',
+      body: JSON.stringify(loa)
+    });
+  }
+
+  /**
+   * Change a leave of absence's dates or note
+   * @param {string} id - LOA id
+   * @param {{start?: string, end?: string, note?: string}} changes
+   * @returns {Promise<{success: boolean, loa: object}>}
+   */
+  async updateLoa(id, changes) {
+    return this.request(`/loa/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  /**
+   * Remove a leave of absence
+   * @param {string} id - LOA id
+   * @returns {Promise<{success: boolean, id: string}>}
+   */
+  async removeLoa(id) {
+    return this.request(`/loa/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
   // ==================== Alert Exclusion Endpoints ====================
 
   /**
-   * Get controllers muted from under-hours audit alerts
-   * @returns {Promise<{exclusions: Array<{cid: string, addedAt: string}>}>}
+   * Get controller exclusions with their reason, scope and expiry (staff only)
+   * @returns {Promise<{exclusions: Array<{cid: string, reason: string, note: string|null, scope: string[], expiresAt: string|null, addedAt: string, addedBy: string, active: boolean}>, reasons: object, scopes: string[]}>}
    */
   async getExclusions() {
     return this.request('/exclusions');
   }
 
   /**
-   * Mute a controller's under-hours audit alerts
+   * Exclude a controller from audits and/or live-check categories
    * @param {string|number} cid - Controller CID
-   * @returns {Promise<{success: boolean, cid: string}>}
+   * @param {{reason: 'loa'|'medical'|'staff'|'other', note?: string, expiresAt?: string, scope?: string[]}} details
+   * @returns {Promise<{success: boolean, cid: string, exclusion: object}>}
    */
-  async addExclusion(cid) {
+  async addExclusion(cid, details) {
     return this.request('/exclusions', {
       method: 'POST',
-      body: JSON.stringify({ cid: String(cid) })
+      body: JSON.stringify({ cid: String(cid), ...details })
     });
   }
 
   /**
-   * Unmute a controller's under-hours audit alerts
+   * Download all exclusions as CSV (staff only)
+   * @returns {Promise<string>} CSV text with columns cid, reason, note, expires, scope, added_at, added_by
+   */
+  async exportExclusionsCsv() {
+    return this.request('/exclusions.csv', {
+      responseType: 'text',
+      headers: { Accept: 'text/csv' }
+    });
+  }
+
+  /**
+   * Apply a CSV of exclusions (staff only). Nothing is applied if any row is invalid;
+   * the thrown error's body.errors lists each bad row.
+   * @param {string} csv - Header row with cid, reason and optional note, expires, scope (;-separated)
+   * @param {'merge'|'replace'} [mode='merge'] - replace lifts exclusions missing from the file
+   * @returns {Promise<{success: boolean, mode: string, added: number, updated: number, removed: number}>}
+   */
+  async importExclusionsCsv(csv, mode = 'merge') {
+    return this.request(`/exclusions/import?mode=${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: csv
+    });
+  }
+
+  /**
+   * Lift a controller's exclusion
    * @param {string|number} cid - Controller CID
    * @returns {Promise<{success: boolean, cid: string}>}
    */
@@ -164,6 +399,144 @@ class WatchlistAPI {
     });
   }
 
+  // ==================== Auth Endpoints ====================
+
+  /**
+   * URL that starts VATSIM sign-in and returns to the given page
+   * @param {string} [returnTo] - Page to come back to (defaults to the current page)
+   * @returns {string}
+   */
+  loginUrl(returnTo = window.location.href) {
+    return `${this.baseURL}/auth/login?redirect=${encodeURIComponent(returnTo)}`;
+  }
+
+  /**
+   * Get the identity and role behind the stored token or session cookie
+   * @returns {Promise<{sub: string, name: string|null, role: 'viewer'|'staff'|'admin', keyId: string|null}>}
+   */
+  async getCurrentUser() {
+    return this.request('/auth/me');
+  }
+
+  /**
+   * Sign out: clear the session cookie and the stored token
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    this.clearToken();
+    await this.request('/auth/logout', { method: 'POST' }).catch(() => null);
+  }
+
+  // ==================== Currency Reminder Endpoints ====================
+
+  /**
+   * Get the signed-in controller's reminder settings and the methods on offer
+   * @returns {Promise<{cid: string, subscription: {method: 'discord'|'email', discordId?: string, email?: string, optedInAt: string, lastNotice?: {status: string, sentAt: string}}|null, pending: {method: string, expiresAt: string}|null, methods: string[]}>}
+   */
+  async getMyNotices() {
+    return this.request('/notices/me');
+  }
+
+  /**
+   * Opt in to currency reminders, or change where they go; sends a code there to confirm with
+   * @param {{method: 'discord', discordId: string}|{method: 'email', email: string}} settings
+   * @returns {Promise<{success: boolean, pending: {method: string, expiresAt: string}}>}
+   */
+  async updateMyNotices(settings) {
+    return this.request('/notices/me', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  }
+
+  /**
+   * Turn the reminders on with the code from the confirmation message
+   * @param {string} code - Six-digit code
+   * @returns {Promise<{success: boolean, subscription: object}>}
+   */
+  async confirmMyNotices(code) {
+    return this.request('/notices/me/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  /**
+   * Opt out of currency reminders
+   * @returns {Promise<{success: boolean}>}
+   */
+  async deleteMyNotices() {
+    return this.request('/notices/me', {
+      method: 'DELETE'
+    });
+  }
+
+  // ==================== Staff Action Log Endpoints ====================
+
+  /**
+   * Get staff actions, newest first (staff only)
+   * @param {{actor?: string, cid?: string, action?: string, from?: string, to?: string, limit?: number, cursor?: string}} [filters]
+   * @returns {Promise<{entries: Array, cursor: string|null}>}
+   */
+  async getAuditLog(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value != null && value !== '') params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/audit-log${query ? `?${query}` : ''}`);
+  }
+
+  // ==================== Live Check Endpoints ====================
+
+  /**
+   * Get every controller on a VATPAC position with their compliance state
+   * @returns {Promise<{online: Array<{cid: string, callsign: string, ratingShort: string, requiredRatingShort: string, endorsementStatus: string|null, ots: boolean, violations: string[], excludedFrom: string[]}>, fetchedAt: string}>}
+   */
+  async getLiveOnline() {
+    return this.request('/live/online');
+  }
+
+  /**
+   * Get live-check incidents: open ones first, then closed ones newest first (staff only)
+   * @param {{cid?: string, type?: 'rating'|'atis'|'endorsement'|'roster', status?: 'open'|'acknowledged'|'resolved', from?: string, to?: string, limit?: number, cursor?: string}} [filters]
+   * @returns {Promise<{violations: Array<{id: string, type: string, cid: string, callsign: string|null, status: string, firstSeen: string, lastSeen: string, closedAt: string|null, durationMinutes: number}>, cursor: string|null}>}
+   */
+  async getViolations(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value != null && value !== '') params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/violations${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Acknowledge an open incident; Discord stops pinging about it (staff only)
+   * @param {string} id - Incident id
+   * @param {string} [note] - Why, or who is handling it
+   * @returns {Promise<{success: boolean, incident: object}>}
+   */
+  async acknowledgeViolation(id, note) {
+    return this.request(`/violations/${id}/acknowledge`, {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+  }
+
+  /**
+   * Resolve an incident; it is archived once the condition clears (staff only)
+   * @param {string} id - Incident id
+   * @param {string} [note] - Outcome
+   * @returns {Promise<{success: boolean, incident: object}>}
+   */
+  async resolveViolation(id, note) {
+    return this.request(`/violations/${id}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+  }
+
   // ==================== Presence Endpoints ====================
 
   /**
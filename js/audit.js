@@ -6,7 +6,7 @@
 // Version queries keep module imports in lockstep with the audit.js?v=N
 // cache-bust in index.html — without them the browser can pair a fresh
 // audit.js with a stale cached api.js/utils.js.
-import api from './api.js?v=7';
+import api from './api.js?v=32';
 import {
   formatDate,
   formatDuration,
@@ -17,14 +17,34 @@ import {
   showLoading,
   hideLoading,
   debounce,
-  escapeHTML
-} from './utils.js?v=7';
+  escapeHTML,
+  isValidCID
+} from './utils.js?v=32';
+import { loadActivityLog, setupActivityTab } from './activity.js?v=32';
+import { loadLoas, setupLoaTab } from './loa.js?v=32';
+import { exportRows, downloadFile } from './export.js?v=32';
+import { openControllerDrawer, setupControllerDrawer } from './controller.js?v=32';
+import { startLivePolling, stopLivePolling } from './live.js?v=32';
+import { loadIncidents, setupIncidentsTab } from './incidents.js?v=32';
+import { openNoticeDialog, setupNoticeDialog } from './notices.js?v=32';
 
 let visitingData = [];
 let localData = [];
-// CIDs muted from under-hours audit alerts
-let excludedCids = new Set();
+// Active exclusions by CID ({ reason, note, scope, expiresAt, ... }); staff only,
+// everyone else sees just the audit record's `excluded` flag
+let exclusions = new Map();
+
+const EXCLUSION_REASON_LABELS = {
+  loa: 'Leave of absence',
+  medical: 'Medical',
+  staff: 'Staff member',
+  other: 'Other'
+};
 let currentTab = 'visiting';
+// Signed-in dashboard user ({ sub, name, role }) or null when anonymous
+let currentUser = null;
+// Tabs only shown to signed-in staff
+const STAFF_TABS = ['activity', 'loa', 'incidents'];
 const ITEMS_PER_PAGE = 25;
 let currentPage = {
   visiting: 1,
@@ -87,6 +107,8 @@ function normalizeAuditRecord(audit, type = 'visiting') {
     status = 'pending';
   } else if (audit.status === 'flagged' || audit.flagged === true) {
     status = 'flagged';
+  } else if (audit.status === 'at-risk') {
+    status = 'at-risk';
   } else if (audit.status === 'completed') {
     status = 'completed';
   } else {
@@ -108,6 +130,12 @@ function normalizeAuditRecord(audit, type = 'visiting') {
     division: audit.division || null,
     hoursLogged,
     lastSession,
+    currentUntil: audit.currentUntil || null,
+    hoursNeeded: audit.hoursNeeded ?? null,
+    neededBy: audit.neededBy || null,
+    classShortfalls: Array.isArray(audit.classShortfalls) ? audit.classShortfalls : [],
+    loa: audit.loa || null,
+    excluded: !!audit.excluded,
     flagged: status === 'flagged' || status === 'not-division-member'
   };
 }
@@ -120,11 +148,10 @@ async function loadAudits() {
     showLoading('Loading audit results...');
 
     // Fetch directly from KV endpoint for faster, always up-to-date data
-    const [kvData, exclusionData] = await Promise.all([
+    const [kvData] = await Promise.all([
       api.getKVData().catch(() => null),
-      api.getExclusions().catch(() => null)
+      loadExclusionMap()
     ]);
-    excludedCids = new Set((exclusionData?.exclusions || []).map(e => String(e.cid)));
 
     if (kvData) {
       visitingData = (kvData.visiting || []).map(a => normalizeAuditRecord(a, 'visiting'));
@@ -167,6 +194,14 @@ async function loadAudits() {
   }
 }
 
+/**
+ * Load the active exclusions when the signed-in user may see them
+ */
+async function loadExclusionMap() {
+  const data = canManageExclusions() ? await api.getExclusions().catch(() => null) : null;
+  exclusions = new Map((data?.exclusions || []).filter(e => e.active !== false).map(e => [String(e.cid), e]));
+}
+
 /**
  * Get filtered data based on active search and filter
  * @param {'visiting'|'local'} type - Audit type
@@ -184,6 +219,7 @@ function getFilteredData(type) {
       if (filters.status === 'pending' && audit.status !== 'pending') return false;
       if (filters.status === 'requirement-not-met' && audit.status !== 'flagged') return false;
       if (filters.status === 'requirement-met' && audit.status !== 'completed') return false;
+      if (filters.status === 'at-risk' && audit.status !== 'at-risk') return false;
       if (filters.status === 'not-division-member' && audit.status !== 'not-division-member') return false;
     }
 
@@ -262,6 +298,8 @@ function renderAuditTable(type) {
       status = 'pending';
     } else if (audit.status === 'flagged' || audit.flagged === true) {
       status = 'requirement-not-met';
+    } else if (audit.status === 'at-risk') {
+      status = 'at-risk';
     } else if (audit.status === 'completed') {
       status = 'requirement-met';
     } else {
@@ -275,23 +313,40 @@ function renderAuditTable(type) {
     const rating = escapeHTML(audit.rating || 'N/A');
     const hoursLogged = Number(audit.hoursLogged) || 0;
     const lastControlled = audit.lastSession ? escapeHTML(formatDate(audit.lastSession)) : 'Never';
-    const isExcluded = excludedCids.has(rawCid);
-    // Only offer the toggle for rows with a real CID (worker validates format)
-    const toggleCell = /^\d{3,10}$/.test(rawCid)
-      ? `<button
+    // Visiting guidance from the worker: hours still to log before the deadline
+    const hoursNeeded = audit.neededBy && audit.hoursNeeded != null
+      ? `<small class="hours-needed">Needs ${escapeHTML(formatDuration(Number(audit.hoursNeeded)))} by ${escapeHTML(formatDate(audit.neededBy, false))}</small>`
+      : '';
+    // Per-position-class minimums from the currency policy that are not yet met
+    const classShortfalls = (audit.classShortfalls || []).map(c =>
+      `<small class="hours-needed">Short on ${escapeHTML(c.positionClass)}: ${escapeHTML(formatDuration(Number(c.logged)))} / ${escapeHTML(formatDuration(Number(c.required)))}</small>`
+    ).join('');
+    const exclusion = exclusions.get(rawCid);
+    const isExcluded = canManageExclusions() ? !!exclusion : !!audit.excluded;
+    // Leave of absence: visiting requirement is pro-rated, local window extended
+    const loaNote = audit.loa
+      ? `<small class="hours-needed">${escapeHTML(audit.loa.hoursRequired != null
+        ? `LOA ${audit.loa.days}d — requires ${formatDuration(Number(audit.loa.hoursRequired))}`
+        : `LOA ${audit.loa.days}d — window extended`)}</small>`
+      : '';
+    const exclusionTitle = exclusion ? describeExclusion(exclusion) : (isExcluded ? 'Excluded from audit alerts' : '');
+    // Only offer the toggle for rows with a real CID (worker validates format);
+    // everyone but staff just sees whether alerts are muted
+    const toggleCell = !/^\d{3,10}$/.test(rawCid) ? ''
+      : !canManageExclusions() ? (isExcluded ? `<span class="exclude-toggle excluded" title="${escapeHTML(exclusionTitle)}">🔕 Excluded</span>` : '')
+      : `<button
             class="exclude-toggle${isExcluded ? ' excluded' : ''}"
             data-cid="${cid}"
             aria-pressed="${isExcluded}"
-            title="${isExcluded ? 'Muted from under-hours alerts — click to re-enable (live checks still apply)' : 'Click to mute under-hours alerts (live checks still apply)'}"
-          >${isExcluded ? '🔕 Muted' : '🔔 Alerts On'}</button>`
-      : '';
+            title="${isExcluded ? escapeHTML(`${exclusionTitle} — click to lift`) : 'Click to exclude from audits or live checks'}"
+          >${isExcluded ? '🔕 Excluded' : '🔔 Alerts On'}</button>`;
 
     return `
-      <tr class="audit-row-${status}">
+      <tr class="audit-row-${status}"${/^\d{3,10}$/.test(rawCid) ? ` data-cid="${cid}" tabindex="0" title="Show controller details"` : ''}>
         <td>${cid}</td>
         <td>${createRatingBadge(rating)}</td>
         <td>${createStatusBadge(status)}</td>
-        <td>${escapeHTML(formatDuration(hoursLogged))}</td>
+        <td>${escapeHTML(formatDuration(hoursLogged))}${hoursNeeded}${classShortfalls}${loaNote}</td>
         <td>${lastControlled}</td>
         <td>${toggleCell}</td>
       </tr>
@@ -321,8 +376,21 @@ function switchTab(tabName) {
     tab.classList.toggle('active', tab.id === `${tabName}Tab`);
   });
 
+  // Only poll the VATSIM feed while someone is looking at it
+  if (tabName !== 'live') stopLivePolling();
+
   // Render appropriate table
-  renderAuditTable(tabName);
+  if (tabName === 'live') {
+    startLivePolling();
+  } else if (tabName === 'activity') {
+    loadActivityLog();
+  } else if (tabName === 'loa') {
+    loadLoas();
+  } else if (tabName === 'incidents') {
+    loadIncidents();
+  } else {
+    renderAuditTable(tabName);
+  }
 }
 
 /**
@@ -395,6 +463,56 @@ function setupPagination(type) {
   }
 }
 
+// ==================== Table Export ====================
+
+// Export columns, as [header, audit => value]; matches GET /api/audit/:type/export
+const EXPORT_COLUMNS = [
+  ['cid', a => String(a.id).replace('audit_', '')],
+  ['status', a => a.status],
+  ['rating', a => a.rating],
+  ['division', a => a.division],
+  ['hours_logged', a => a.hoursLogged],
+  ['last_session', a => a.lastSession],
+  ['current_until', a => a.currentUntil],
+  ['hours_needed', a => a.hoursNeeded],
+  ['needed_by', a => a.neededBy],
+  ['class_shortfalls', a => a.classShortfalls.map(c => `${c.positionClass} ${c.logged}/${c.required}`).join(';')],
+  ['loa_days', a => a.loa?.days],
+  ['excluded_reason', a => exclusions.get(String(a.id).replace('audit_', ''))?.reason]
+];
+
+/**
+ * Download the table as currently filtered and sorted (every page, not just the visible one)
+ * @param {'visiting'|'local'} type - Audit type
+ * @param {'csv'|'xlsx'|'json'} format - Output format
+ */
+function exportAuditTable(type, format) {
+  const data = getFilteredData(type);
+  if (data.length === 0) {
+    showError('Nothing to export for the current search/filter');
+    return;
+  }
+  const header = EXPORT_COLUMNS.map(([name]) => name);
+  const rows = data.map(audit => EXPORT_COLUMNS.map(([, get]) => get(audit) ?? ''));
+  exportRows(format, `${type}-audit-${new Date().toISOString().slice(0, 10)}`, header, rows);
+}
+
+/**
+ * Setup the export format picker above an audit table
+ * @param {'visiting'|'local'} type - Audit type
+ */
+function setupTableExport(type) {
+  const select = document.getElementById(`${type}Export`);
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    const format = select.value;
+    // Return to the placeholder so the same format can be picked again
+    select.value = '';
+    if (format) exportAuditTable(type, format);
+  });
+}
+
 // ==================== Alert Exclusions ====================
 
 /**
@@ -403,21 +521,33 @@ function setupPagination(type) {
  * @param {HTMLButtonElement} button - The clicked toggle button
  */
 async function toggleExclusion(cid, button) {
-  const isExcluded = excludedCids.has(cid);
+  const isExcluded = exclusions.has(cid);
   button.disabled = true;
 
   try {
     if (isExcluded) {
       await api.removeExclusion(cid);
-      excludedCids.delete(cid);
-      showSuccess(`${cid} will receive under-hours alerts again`);
+      exclusions.delete(cid);
+      showSuccess(`${cid} is audited and alerted on normally again`);
     } else {
-      await api.addExclusion(cid);
-      excludedCids.add(cid);
-      showSuccess(`${cid} muted from under-hours alerts`);
+      const details = await promptExclusionDetails(cid);
+      if (!details) {
+        button.disabled = false;
+        return;
+      }
+      const result = await api.addExclusion(cid, details);
+      exclusions.set(cid, { cid, ...result.exclusion });
+      showSuccess(`${cid} excluded (${EXCLUSION_REASON_LABELS[details.reason]})`);
     }
   } catch (error) {
     console.error('Failed to update exclusion:', error);
+    if (error.status === 401) {
+      // Session expired or was revoked; fall back to the signed-out view
+      api.clearToken();
+      setCurrentUser(null);
+      showError('Your session has expired — sign in again to change alert exclusions');
+      return;
+    }
     showError(`Failed to update alert exclusion: ${error.message}`);
   }
 
@@ -426,6 +556,66 @@ async function toggleExclusion(cid, button) {
   renderAuditTable('local');
 }
 
+/**
+ * One-line summary of an exclusion for tooltips
+ * @param {object} exclusion - Exclusion record from the API
+ * @returns {string}
+ */
+function describeExclusion(exclusion) {
+  const reason = EXCLUSION_REASON_LABELS[exclusion.reason] || 'No reason recorded';
+  const note = exclusion.note ? ` (${exclusion.note})` : '';
+  const until = exclusion.expiresAt ? ` until ${formatDate(exclusion.expiresAt, false)}` : '';
+  return `${reason}${note}${until} · ${(exclusion.scope || []).join(', ')}`;
+}
+
+/**
+ * Ask for the reason, expiry and scope of a new exclusion
+ * @param {string} cid - Controller CID
+ * @returns {Promise<object|null>} Exclusion details, or null if cancelled
+ */
+function promptExclusionDetails(cid) {
+  const dialog = document.getElementById('exclusionDialog');
+  const form = document.getElementById('exclusionForm');
+  form.reset();
+  document.getElementById('exclusionDialogCid').textContent = cid;
+  // Escape closes without touching returnValue, so clear the last one first
+  dialog.returnValue = '';
+  dialog.showModal();
+
+  return new Promise(resolve => {
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'save') return resolve(null);
+      const data = new FormData(form);
+      resolve({
+        reason: data.get('reason'),
+        note: String(data.get('note') || '').trim() || undefined,
+        expiresAt: data.get('expiresAt') || undefined,
+        scope: data.getAll('scope')
+      });
+    }, { once: true });
+  });
+}
+
+/**
+ * Open the controller drawer when a row is clicked (or Enter is pressed on it)
+ * @param {'visiting'|'local'|'live'} type - Table to wire up
+ */
+function setupRowDetails(type) {
+  const tbody = document.getElementById(`${type}TableBody`);
+  if (!tbody) return;
+
+  const open = (event) => {
+    // Buttons and links inside the row keep their own behaviour
+    if (event.target.closest('button, a')) return;
+    const row = event.target.closest('tr[data-cid]');
+    if (row) openControllerDrawer(row.dataset.cid);
+  };
+  tbody.addEventListener('click', open);
+  tbody.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') open(event);
+  });
+}
+
 /**
  * Setup exclusion toggle buttons via event delegation
  * @param {'visiting'|'local'} type - Audit type
@@ -441,6 +631,136 @@ function setupExclusionToggles(type) {
   });
 }
 
+/**
+ * Download every stored exclusion as a CSV file
+ */
+async function exportExclusions() {
+  try {
+    const csv = await api.exportExclusionsCsv();
+    downloadFile(csv, `exclusions-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+  } catch (error) {
+    console.error('Failed to export exclusions:', error);
+    showError(`Failed to export exclusions: ${error.message}`);
+  }
+}
+
+/**
+ * Import a CSV of exclusions; the server applies every row or none
+ * @param {File} file - CSV chosen by the user
+ */
+async function importExclusions(file) {
+  try {
+    const result = await api.importExclusionsCsv(await file.text());
+    showSuccess(`Imported exclusions: ${result.added} added, ${result.updated} updated`);
+    await loadAudits();
+  } catch (error) {
+    console.error('Failed to import exclusions:', error);
+    const rowErrors = error.body?.errors || [];
+    if (!rowErrors.length) {
+      showError(`Failed to import exclusions: ${error.message}`);
+      return;
+    }
+    const shown = rowErrors.slice(0, 5).map(e => `line ${e.line}${e.cid ? ` (${e.cid})` : ''}: ${e.field} ${e.error}`);
+    const more = rowErrors.length > shown.length ? `; and ${rowErrors.length - shown.length} more` : '';
+    showError(`Import rejected, nothing was changed — ${shown.join('; ')}${more}`);
+  }
+}
+
+/**
+ * Setup the CSV export/import buttons above an audit table
+ * @param {'visiting'|'local'} type - Audit type
+ */
+function setupExclusionTransfer(type) {
+  const fileInput = document.getElementById(`${type}ExclusionFile`);
+  document.getElementById(`${type}ExclusionExport`)?.addEventListener('click', exportExclusions);
+  document.getElementById(`${type}ExclusionImport`)?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    // Clear so choosing the same file again still fires change
+    fileInput.value = '';
+    if (file) importExclusions(file);
+  });
+}
+
+// ==================== Sign-in ====================
+
+/**
+ * Whether the signed-in user may mute/unmute alerts
+ * @returns {boolean}
+ */
+function canManageExclusions() {
+  return currentUser?.role === 'staff' || currentUser?.role === 'admin';
+}
+
+/**
+ * Update the signed-in user and re-render everything that depends on the role
+ * @param {object|null} user - Result of api.getCurrentUser(), or null
+ */
+function setCurrentUser(user) {
+  currentUser = user;
+  renderAuthStatus();
+
+  // The staff activity log, LOA registry and incidents are only readable by staff
+  for (const tab of STAFF_TABS) {
+    const tabBtn = document.getElementById(`tab-${tab}`);
+    if (tabBtn) tabBtn.hidden = !canManageExclusions();
+  }
+  if (!canManageExclusions() && STAFF_TABS.includes(currentTab)) switchTab('visiting');
+  for (const type of ['visiting', 'local']) {
+    for (const action of ['Export', 'Import']) {
+      const button = document.getElementById(`${type}Exclusion${action}`);
+      if (button) button.hidden = !canManageExclusions();
+    }
+  }
+  // Tables render themselves once loadAudits() finishes
+  loadExclusionMap().then(() => {
+    if (visitingData.length || localData.length) {
+      renderAuditTable('visiting');
+      renderAuditTable('local');
+    }
+  });
+}
+
+/**
+ * Render the sign-in link or the signed-in user in the navbar
+ */
+function renderAuthStatus() {
+  const container = document.getElementById('authStatus');
+  if (!container) return;
+
+  if (!currentUser) {
+    container.innerHTML = `<a class="btn-secondary btn-sm" href="${escapeHTML(api.loginUrl())}">Sign in with VATSIM</a>`;
+    return;
+  }
+
+  const name = escapeHTML(currentUser.name || currentUser.sub);
+  // Reminders are per controller, so only a VATSIM sign-in (not an API key) gets them
+  const isController = !currentUser.keyId && isValidCID(currentUser.sub);
+  container.innerHTML = `
+    <span class="auth-user">${name} <small>(${escapeHTML(currentUser.role)})</small></span>
+    ${isController ? '<button class="btn-secondary btn-sm" id="noticeBtn">Reminders</button>' : ''}
+    <button class="btn-secondary btn-sm" id="logoutBtn">Sign out</button>
+  `;
+  document.getElementById('noticeBtn')?.addEventListener('click', openNoticeDialog);
+  document.getElementById('logoutBtn').addEventListener('click', async () => {
+    await api.logout();
+    setCurrentUser(null);
+  });
+}
+
+/**
+ * Resolve who is signed in (a fresh login redirect, stored token or session cookie)
+ */
+async function loadCurrentUser() {
+  api.consumeLoginRedirect();
+  try {
+    setCurrentUser(await api.getCurrentUser());
+  } catch (error) {
+    if (error.status === 401) api.clearToken();
+    setCurrentUser(null);
+  }
+}
+
 // ==================== Search and Filter ====================
 
 /**
@@ -554,6 +874,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Load audit data
   loadAudits();
 
+  // Resolve the signed-in user; exclusion toggles are staff-only
+  loadCurrentUser();
+
   // Setup tab switching
   document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -577,6 +900,32 @@ document.addEventListener('DOMContentLoaded', () => {
   // Setup alert exclusion toggles for both tabs
   setupExclusionToggles('visiting');
   setupExclusionToggles('local');
+  setupExclusionTransfer('visiting');
+  setupExclusionTransfer('local');
+  setupTableExport('visiting');
+  setupTableExport('local');
+  setupRowDetails('visiting');
+  setupRowDetails('local');
+  setupRowDetails('live');
+  setupControllerDrawer();
+
+  // Setup staff activity filters and the LOA form
+  setupActivityTab();
+  setupLoaTab();
+  setupIncidentsTab();
+  setupNoticeDialog();
+
+  // The exclusion dialog needs a reason and at least one scope before saving
+  const exclusionForm = document.getElementById('exclusionForm');
+  if (exclusionForm) {
+    exclusionForm.addEventListener('submit', (event) => {
+      const data = new FormData(exclusionForm);
+      if (event.submitter?.value === 'save' && data.getAll('scope').length === 0) {
+        event.preventDefault();
+        showError('Choose at least one thing to exclude the controller from');
+      }
+    });
+  }
 
   // Add manual refresh button functionality if it exists
   const refreshBtn = document.getElementById('refreshAudits');
@@ -0,0 +1,212 @@
+/**
+ * Controller Detail Drawer
+ * Side panel opened from an audit row: sessions, monthly hours, positions,
+ * TMS endorsements, VATSIM enrichment and exclusion/LOA state in one place
+ */
+
+import api from './api.js?v=32';
+import {
+  formatDate,
+  formatDuration,
+  createStatusBadge,
+  createRatingBadge,
+  escapeHTML
+} from './utils.js?v=32';
+
+// Sessions are listed newest first; the rest are summarised by the chart and positions
+const DRAWER_SESSION_LIMIT = 50;
+
+// CID of the most recent open request, so a slow response cannot replace a newer one
+let pendingCid = null;
+
+function renderSection(title, content) {
+  return `
+    <section class="drawer-section">
+      <h3>${escapeHTML(title)}</h3>
+      ${content}
+    </section>
+  `;
+}
+
+function renderCurrency(profile) {
+  const { visiting, local } = profile.currency;
+  const row = (label, c, detail) => `
+    <tr>
+      <td>${label}</td>
+      <td>${createStatusBadge(c.passed ? (c.currentUntil ? 'at-risk' : 'requirement-met') : 'requirement-not-met')}</td>
+      <td>${escapeHTML(detail)}${c.currentUntil ? `<br><small>Current until ${escapeHTML(formatDate(c.currentUntil, false))}</small>` : ''}</td>
+    </tr>
+  `;
+  return `
+    <table class="data-table drawer-table">
+      <tbody>
+        ${row('Visiting', visiting, `${formatDuration(visiting.hours)} of ${visiting.required} in ${visiting.lookback}`)}
+        ${row('Local', local, local.lastSessionWithinPeriod
+          ? `Last session ${formatDate(local.lastSessionWithinPeriod, false)} (${local.lookback})`
+          : `No session in ${local.lookback}`)}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderStatus(profile) {
+  const lines = [];
+  const exclusion = profile.exclusion;
+  if (exclusion?.active) {
+    const until = exclusion.expiresAt ? ` until ${formatDate(exclusion.expiresAt, false)}` : '';
+    // Reason and note only come back for staff
+    const why = 'reason' in exclusion ? ` (${escapeHTML(exclusion.reason || 'no reason')}${exclusion.note ? ` — ${escapeHTML(exclusion.note)}` : ''})` : '';
+    lines.push(`🔕 Excluded${why}${escapeHTML(until)} · ${escapeHTML((exclusion.scope || []).join(', '))}`);
+  }
+  for (const loa of profile.loas || []) {
+    if (loa.status === 'past') continue;
+    // Dates and note only come back for staff
+    const dates = loa.start ? ` ${escapeHTML(loa.start)} → ${escapeHTML(loa.end)}` : '';
+    lines.push(`🏖️ ${loa.status === 'active' ? 'On leave' : 'Leave booked'}${dates}${loa.note ? ` (${escapeHTML(loa.note)})` : ''}`);
+  }
+  return lines.length ? `<ul class="drawer-list">${lines.map(l => `<li>${l}</li>`).join('')}</ul>` : '<p class="drawer-empty">No active exclusion or leave</p>';
+}
+
+function renderMonthlyChart(monthlyHours) {
+  if (!monthlyHours?.length) return '<p class="drawer-empty">No session data</p>';
+  const max = Math.max(...monthlyHours.map(m => m.hours), 1);
+  return `
+    <div class="month-chart" role="img" aria-label="Hours controlled per month over the last year">
+      ${monthlyHours.map(m => `
+        <div class="month-bar" title="${escapeHTML(`${m.month}: ${formatDuration(m.hours)} (${m.sessionCount} sessions)`)}">
+          <span class="month-bar-fill" style="height: ${Math.round((m.hours / max) * 100)}%"></span>
+          <span class="month-bar-label">${escapeHTML(m.month.slice(5))}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderPositions(positions) {
+  if (!positions?.length) return '<p class="drawer-empty">No positions controlled in the last 12 months</p>';
+  return `
+    <table class="data-table drawer-table">
+      <thead><tr><th>Callsign</th><th>Class</th><th>Hours</th><th>Sessions</th></tr></thead>
+      <tbody>
+        ${positions.map(p => `
+          <tr>
+            <td>${escapeHTML(p.callsign)}</td>
+            <td>${escapeHTML(p.positionClass || '—')}</td>
+            <td>${escapeHTML(formatDuration(p.hours))}</td>
+            <td>${p.sessionCount}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderEndorsements(profile) {
+  if (profile.tmsError) return `<p class="drawer-empty">TMS unavailable: ${escapeHTML(profile.tmsError)}</p>`;
+  if (!profile.tms) return '<p class="drawer-empty">Not on the VATPAC roster</p>';
+  if (!profile.tms.endorsements.length) return '<p class="drawer-empty">No endorsements</p>';
+  return `
+    <ul class="drawer-list">
+      ${profile.tms.endorsements.map(e => {
+        const badge = e.status === 'solo'
+          ? createStatusBadge('at-risk', e.soloExpires ? `Solo until ${formatDate(e.soloExpires, false)}` : 'Solo')
+          : createStatusBadge(e.status === 'active' ? 'active' : 'pending', e.status === 'active' ? 'Active' : e.status);
+        return `<li>${escapeHTML(e.label)} ${badge}</li>`;
+      }).join('')}
+    </ul>
+  `;
+}
+
+function renderVatsim(profile) {
+  const link = `<a href="${escapeHTML(profile.vatsimStatsUrl)}" target="_blank" rel="noopener">VATSIM stats ↗</a>`;
+  if (!profile.vatsim) return `<p class="drawer-empty">Not looked up yet — ${link}</p>`;
+  return `
+    <p>
+      Last seen on VATSIM ${profile.vatsim.lastSession ? escapeHTML(formatDate(profile.vatsim.lastSession)) : 'never'}
+      ${profile.vatsim.lastCallsign ? `as ${escapeHTML(profile.vatsim.lastCallsign)}` : ''}
+      <br><small>Checked ${escapeHTML(formatDate(profile.vatsim.fetchedAt))} · ${link}</small>
+    </p>
+  `;
+}
+
+function renderSessions(sessions) {
+  if (!sessions?.length) return '<p class="drawer-empty">No sessions in the last 12 months</p>';
+  const shown = sessions.slice(0, DRAWER_SESSION_LIMIT);
+  return `
+    <table class="data-table drawer-table">
+      <thead><tr><th>Callsign</th><th>Start</th><th>Duration</th></tr></thead>
+      <tbody>
+        ${shown.map(s => `
+          <tr>
+            <td>${escapeHTML(s.callsign || '—')}</td>
+            <td>${escapeHTML(formatDate(s.start))}</td>
+            <td>${escapeHTML(formatDuration(s.hours))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${sessions.length > shown.length ? `<small>Showing the latest ${shown.length} of ${sessions.length} sessions</small>` : ''}
+  `;
+}
+
+function renderProfile(profile) {
+  const tms = profile.tms;
+  const meta = [
+    tms ? createRatingBadge(tms.rating) : '',
+    tms?.division ? escapeHTML(tms.division) : '',
+    tms?.scope ? escapeHTML(tms.scope === 'local' ? 'Local' : 'Visiting') : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <p class="drawer-meta">${meta || 'No TMS record'}</p>
+    ${renderSection('Currency', renderCurrency(profile))}
+    ${renderSection('Exclusion & leave', renderStatus(profile))}
+    ${renderSection('Hours by month', renderMonthlyChart(profile.monthlyHours))}
+    ${renderSection('Positions controlled', renderPositions(profile.positions))}
+    ${renderSection('TMS endorsements', renderEndorsements(profile))}
+    ${renderSection('VATSIM', renderVatsim(profile))}
+    ${renderSection('Sessions', renderSessions(profile.sessions))}
+  `;
+}
+
+/**
+ * Open the drawer for a controller and load their profile
+ * @param {string} cid - Controller CID
+ */
+export async function openControllerDrawer(cid) {
+  const drawer = document.getElementById('controllerDrawer');
+  const body = document.getElementById('controllerDrawerBody');
+  if (!drawer || !body) return;
+
+  pendingCid = cid;
+  document.getElementById('controllerDrawerCid').textContent = cid;
+  body.innerHTML = '<p class="drawer-empty">Loading…</p>';
+  if (!drawer.open) drawer.showModal();
+
+  try {
+    const profile = await api.getController(cid);
+    if (pendingCid !== cid) return;
+    body.innerHTML = renderProfile(profile);
+  } catch (error) {
+    if (pendingCid !== cid) return;
+    console.error('Failed to load controller profile:', error);
+    body.innerHTML = `<p class="drawer-empty">${escapeHTML(`Failed to load controller: ${error.message}`)}</p>`;
+  }
+}
+
+/**
+ * Wire up the drawer's close button and backdrop click
+ */
+export function setupControllerDrawer() {
+  const drawer = document.getElementById('controllerDrawer');
+  if (!drawer) return;
+
+  document.getElementById('controllerDrawerClose')?.addEventListener('click', () => drawer.close());
+  // A click on the backdrop lands on the dialog element itself
+  drawer.addEventListener('click', (event) => {
+    if (event.target === drawer) drawer.close();
+  });
+  drawer.addEventListener('close', () => {
+    pendingCid = null;
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Table Export
+ * Builds CSV, XLSX and JSON downloads from plain header/row arrays
+ */
+
+/**
+ * Quote a CSV cell (RFC 4180), neutralising values a spreadsheet would run as a formula
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let str = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialise rows as CSV
+ * @param {string[]} header - Column names
+ * @param {Array<Array<any>>} rows - Cell values, one array per row
+ * @returns {string}
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialise rows as an array of objects keyed by column name
+ * @param {string[]} header - Column names
+ * @param {Array<Array<any>>} rows - Cell values, one array per row
+ * @returns {string}
+ */
+export function toJson(header, rows) {
+  const objects = rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] ?? null])));
+  return JSON.stringify(objects, null, 2);
+}
+
+// ==================== XLSX ====================
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed (stored) ZIP archive
+ * @param {Array<{name: string, data: string}>} files
+ * @returns {Uint8Array}
+ */
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetCell(value, ref) {
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+/**
+ * Build a single-sheet XLSX workbook (numbers stay numeric, everything else is text)
+ * @param {string[]} header - Column names
+ * @param {Array<Array<any>>} rows - Cell values, one array per row
+ * @param {string} [sheetName='Export'] - Worksheet tab name
+ * @returns {Uint8Array}
+ */
+export function toXlsx(header, rows, sheetName = 'Export') {
+  const sheetRows = [header, ...rows].map((row, r) =>
+    `<row r="${r + 1}">${row.map((value, c) => sheetCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+  ).join('');
+
+  return zipStored([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        // Sheet names are capped at 31 characters and may not contain []:*?/\
+        + `<sheets><sheet name="${xmlEscape(sheetName.replace(/[[\]:*?/\\]/g, '').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+}
+
+// ==================== Download ====================
+
+/**
+ * Save data as a file via a temporary object URL
+ * @param {BlobPart} data - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, filename, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([data], { type }));
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Download rows in the chosen format
+ * @param {'csv'|'xlsx'|'json'} format - Output format
+ * @param {string} basename - File name without extension
+ * @param {string[]} header - Column names
+ * @param {Array<Array<any>>} rows - Cell values, one array per row
+ */
+export function exportRows(format, basename, header, rows) {
+  if (format === 'xlsx') {
+    downloadFile(toXlsx(header, rows, basename), `${basename}.xlsx`, XLSX_MIME);
+  } else if (format === 'json') {
+    downloadFile(toJson(header, rows), `${basename}.json`, 'application/json');
+  } else {
+    downloadFile(toCsv(header, rows), `${basename}.csv`, 'text/csv');
+  }
+}
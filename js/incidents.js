@@ -0,0 +1,181 @@
+/**
+ * Incidents Tab
+ * Live-check violations as incidents: staff acknowledge them (which stops repeat
+ * Discord pings) or resolve them; the worker closes them when they clear
+ */
+
+import api from './api.js?v=32';
+import {
+  formatDate,
+  createStatusBadge,
+  showError,
+  showSuccess,
+  debounce,
+  escapeHTML
+} from './utils.js?v=32';
+
+const PAGE_SIZE = 50;
+
+const TYPE_LABELS = {
+  rating: 'Rating',
+  atis: 'Multiple ATIS',
+  endorsement: 'Endorsement',
+  roster: 'Not on roster'
+};
+
+const STATUS_BADGES = {
+  open: ['flagged', 'Open'],
+  acknowledged: ['at-risk', 'Acknowledged'],
+  resolved: ['completed', 'Resolved']
+};
+
+const RESOLUTION_LABELS = {
+  manual: 'by staff',
+  cleared: 'condition cleared',
+  'logged-off': 'logged off'
+};
+
+let incidents = [];
+let nextCursor = null;
+let filters = { cid: '', type: '', status: '' };
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function describeIncident(incident) {
+  const d = incident.details || {};
+  if (incident.type === 'rating') return `${d.ratingShort} on a ${d.requiredRatingShort} position`;
+  if (incident.type === 'endorsement') return `Missing ${d.missingEndorsement}`;
+  if (incident.type === 'atis') return `${d.atisCount} ATIS: ${(d.atisCallsigns || []).join(', ')}`;
+  return 'Not on the VATPAC roster';
+}
+
+function describeNotes(incident) {
+  const notes = [];
+  if (incident.acknowledgedBy) {
+    notes.push(`Ack'd by ${incident.acknowledgedBy}${incident.acknowledgeNote ? `: ${incident.acknowledgeNote}` : ''}`);
+  }
+  if (incident.status === 'resolved') {
+    const how = RESOLUTION_LABELS[incident.resolution] || (incident.resolvedBy ? 'by staff' : '');
+    const who = incident.resolvedBy ? ` (${incident.resolvedBy})` : '';
+    notes.push(`Resolved ${how}${who}${incident.resolveNote ? `: ${incident.resolveNote}` : ''}`);
+  }
+  return notes.map(n => `<small>${escapeHTML(n)}</small>`).join('<br>');
+}
+
+function renderIncidentTable() {
+  const tbody = document.getElementById('incidentTableBody');
+  const moreBtn = document.getElementById('incidentMoreBtn');
+  if (!tbody) return;
+
+  if (incidents.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="7" style="text-align: center;">
+          <div class="empty-state">
+            <div class="empty-state-icon">✅</div>
+            <p>No incidents match these filters</p>
+          </div>
+        </td>
+      </tr>
+    `;
+  } else {
+    tbody.innerHTML = incidents.map(incident => {
+      const [badge, label] = STATUS_BADGES[incident.status] || STATUS_BADGES.resolved;
+      const actions = incident.status === 'resolved' ? '' : `
+        ${incident.status === 'open' ? `<button class="btn-secondary btn-sm" data-incident-id="${escapeHTML(incident.id)}" data-incident-action="acknowledge">Acknowledge</button>` : ''}
+        <button class="btn-primary btn-sm" data-incident-id="${escapeHTML(incident.id)}" data-incident-action="resolve">Resolve</button>
+      `;
+      return `
+        <tr>
+          <td>${createStatusBadge(badge, label)}${incident.excluded ? '<br><small>muted by exclusion</small>' : ''}</td>
+          <td>${escapeHTML(incident.cid)}<br><small>${escapeHTML(incident.callsign || '—')}</small></td>
+          <td>${escapeHTML(TYPE_LABELS[incident.type] || incident.type)}<br><small>${escapeHTML(describeIncident(incident))}</small></td>
+          <td>${escapeHTML(formatDate(incident.firstSeen))}</td>
+          <td>${escapeHTML(formatMinutes(incident.durationMinutes))}</td>
+          <td>${describeNotes(incident)}</td>
+          <td>${actions}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  if (moreBtn) moreBtn.style.display = nextCursor ? '' : 'none';
+}
+
+/**
+ * Load incidents (open ones first), replacing or appending to the list
+ * @param {boolean} [append=false] - Fetch the next page instead of starting over
+ */
+export async function loadIncidents(append = false) {
+  try {
+    const result = await api.getViolations({
+      ...filters,
+      limit: PAGE_SIZE,
+      cursor: append ? nextCursor : null
+    });
+    incidents = append ? incidents.concat(result.violations || []) : (result.violations || []);
+    nextCursor = result.cursor || null;
+    renderIncidentTable();
+  } catch (error) {
+    console.error('Failed to load incidents:', error);
+    showError(`Failed to load incidents: ${error.message}`);
+  }
+}
+
+/**
+ * Wire up the filters, action buttons and "load more"
+ */
+export function setupIncidentsTab() {
+  const cidInput = document.getElementById('incidentCidFilter');
+  if (cidInput) {
+    const reload = debounce(() => loadIncidents(), 300);
+    cidInput.addEventListener('input', (event) => {
+      filters.cid = event.target.value.trim();
+      reload();
+    });
+  }
+
+  for (const field of ['type', 'status']) {
+    const select = document.getElementById(`incident${field === 'type' ? 'Type' : 'Status'}Filter`);
+    if (!select) continue;
+    select.addEventListener('change', (event) => {
+      filters[field] = event.target.value;
+      loadIncidents();
+    });
+  }
+
+  const tbody = document.getElementById('incidentTableBody');
+  if (tbody) {
+    tbody.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-incident-action]');
+      if (!button) return;
+      const action = button.dataset.incidentAction;
+      const note = window.prompt(action === 'acknowledge'
+        ? 'Acknowledge — Discord stops pinging about this incident. Note (optional):'
+        : 'Resolve — note (optional):');
+      if (note === null) return;
+      button.disabled = true;
+      try {
+        if (action === 'acknowledge') {
+          await api.acknowledgeViolation(button.dataset.incidentId, note);
+          showSuccess('Incident acknowledged');
+        } else {
+          await api.resolveViolation(button.dataset.incidentId, note);
+          showSuccess('Incident resolved');
+        }
+        loadIncidents();
+      } catch (error) {
+        button.disabled = false;
+        showError(`Failed to update incident: ${error.message}`);
+      }
+    });
+  }
+
+  const moreBtn = document.getElementById('incidentMoreBtn');
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => loadIncidents(true));
+  }
+}
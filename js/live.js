@@ -0,0 +1,117 @@
+/**
+ * Live Tab
+ * Who is on a VATPAC position right now, with their rating, endorsement and
+ * OTS/solo state against what the position needs. Refreshes every minute while open.
+ */
+
+import api from './api.js?v=32';
+import {
+  formatRelativeTime,
+  createStatusBadge,
+  escapeHTML
+} from './utils.js?v=32';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const VIOLATION_LABELS = {
+  rating: 'Rating',
+  endorsement: 'Endorsement',
+  atis: 'Multiple ATIS',
+  roster: 'Not on roster'
+};
+
+let pollTimer = null;
+
+function renderEndorsement(o) {
+  if (!o.local) return '<small>Visiting</small>';
+  if (!o.requiredEndorsement) return '<small>dev only</small>';
+  if (o.endorsementStatus === 'active') return createStatusBadge('active', o.requiredEndorsement);
+  if (o.endorsementStatus === 'solo') {
+    const until = o.soloExpiry ? ` until ${new Date(o.soloExpiry).toLocaleDateString()}` : '';
+    return createStatusBadge('at-risk', `${o.requiredEndorsement} solo${until}`);
+  }
+  return createStatusBadge('flagged', `No ${o.requiredEndorsement}`);
+}
+
+function renderCompliance(o) {
+  if (o.violations.length === 0) return createStatusBadge('completed', 'Compliant');
+  return o.violations.map(type => {
+    // A live-check exclusion mutes alerts for that category but the issue is still shown
+    const muted = o.excludedFrom.includes(`live:${type}`);
+    const label = `${VIOLATION_LABELS[type] || type}${muted ? ' (muted)' : ''}`;
+    return createStatusBadge(muted ? 'offline' : 'flagged', label);
+  }).join(' ');
+}
+
+function renderLiveTable(online) {
+  const tbody = document.getElementById('liveTableBody');
+  if (!tbody) return;
+
+  if (online.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="6" style="text-align: center;">
+          <div class="empty-state">
+            <div class="empty-state-icon">📡</div>
+            <p>Nobody is on a VATPAC position right now</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = online.map(o => {
+    const session = [
+      o.ots ? createStatusBadge('active', 'OTS') : '',
+      o.ratingSolo ? createStatusBadge('at-risk', 'Rating solo') : ''
+    ].filter(Boolean).join(' ');
+    return `
+      <tr class="${o.violations.length ? 'audit-row-requirement-not-met' : ''}" data-cid="${escapeHTML(o.cid)}" tabindex="0" title="Show controller details">
+        <td>${escapeHTML(o.callsign)}${o.frequency ? `<br><small>${escapeHTML(o.frequency)}</small>` : ''}</td>
+        <td>${escapeHTML(o.cid)}${o.name ? `<br><small>${escapeHTML(o.name)}</small>` : ''}</td>
+        <td>${escapeHTML(o.ratingShort)} <small>/ needs ${escapeHTML(o.requiredRatingShort)}</small></td>
+        <td>${renderEndorsement(o)}${session ? `<br>${session}` : ''}</td>
+        <td>${escapeHTML(formatRelativeTime(o.logonTime))}</td>
+        <td>${renderCompliance(o)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Fetch and render who is online now
+ */
+export async function loadLiveView() {
+  const status = document.getElementById('liveStatus');
+  try {
+    const result = await api.getLiveOnline();
+    const online = result.online || [];
+    renderLiveTable(online);
+    const issues = online.filter(o => o.violations.length).length;
+    if (status) {
+      status.textContent = `${online.length} online · ${issues} with issues · updated ${new Date(result.fetchedAt).toLocaleTimeString()}`;
+    }
+  } catch (error) {
+    console.error('Failed to load live view:', error);
+    // Keep the last good table; the next poll may succeed
+    if (status) status.textContent = `Live data unavailable: ${error.message}`;
+  }
+}
+
+/**
+ * Load now and refresh every minute until stopped
+ */
+export function startLivePolling() {
+  stopLivePolling();
+  loadLiveView();
+  pollTimer = setInterval(loadLiveView, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop refreshing (the tab was left)
+ */
+export function stopLivePolling() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
@@ -0,0 +1,104 @@
+/**
+ * Leave of Absence Tab
+ * Staff record LOAs here; the daily audit pro-rates visiting hours and extends
+ * the local window for time spent on leave
+ */
+
+import api from './api.js?v=32';
+import {
+  createStatusBadge,
+  showError,
+  showSuccess,
+  escapeHTML
+} from './utils.js?v=32';
+
+let loas = [];
+
+function renderLoaTable() {
+  const tbody = document.getElementById('loaTableBody');
+  if (!tbody) return;
+
+  if (loas.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="6" style="text-align: center;">
+          <div class="empty-state">
+            <div class="empty-state-icon">🏖️</div>
+            <p>No active or upcoming leave</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = loas.map(loa => `
+    <tr>
+      <td>${escapeHTML(loa.cid)}</td>
+      <td>${escapeHTML(loa.start)}</td>
+      <td>${escapeHTML(loa.end)}</td>
+      <td>${createStatusBadge(loa.status === 'active' ? 'active' : 'pending', loa.status === 'active' ? 'On Leave' : 'Upcoming')}</td>
+      <td>${escapeHTML(loa.note || '—')}</td>
+      <td><button class="btn-danger btn-sm" data-loa-id="${escapeHTML(loa.id)}">Remove</button></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Load active and upcoming LOAs, soonest first
+ */
+export async function loadLoas() {
+  try {
+    const result = await api.getLoas();
+    loas = (result.loas || []).filter(loa => loa.status !== 'past');
+    renderLoaTable();
+  } catch (error) {
+    console.error('Failed to load LOAs:', error);
+    showError(`Failed to load leave of absence list: ${error.message}`);
+  }
+}
+
+/**
+ * Wire up the add form and remove buttons
+ */
+export function setupLoaTab() {
+  const form = document.getElementById('loaForm');
+  if (form) {
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const data = new FormData(form);
+      try {
+        await api.addLoa({
+          cid: String(data.get('cid') || '').trim(),
+          start: data.get('start'),
+          end: data.get('end'),
+          note: String(data.get('note') || '').trim() || undefined
+        });
+        form.reset();
+        showSuccess('Leave of absence recorded — it applies from the next daily audit');
+        loadLoas();
+      } catch (error) {
+        showError(`Failed to record LOA: ${error.message}`);
+      }
+    });
+  }
+
+  const tbody = document.getElementById('loaTableBody');
+  if (tbody) {
+    tbody.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-loa-id]');
+      if (!button) return;
+      const loa = loas.find(l => l.id === button.dataset.loaId);
+      if (!loa || !window.confirm(`Remove the LOA for ${loa.cid} (${loa.start} to ${loa.end})?`)) return;
+      button.disabled = true;
+      try {
+        await api.removeLoa(loa.id);
+        showSuccess(`LOA for ${loa.cid} removed`);
+        loadLoas();
+      } catch (error) {
+        button.disabled = false;
+        showError(`Failed to remove LOA: ${error.message}`);
+      }
+    });
+  }
+}
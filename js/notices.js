@@ -0,0 +1,127 @@
+/**
+ * Currency Reminders
+ * Lets a signed-in controller opt in to a Discord DM or email from the daily
+ * audit when their visiting hours fall short or are about to lapse. Opting in
+ * sends a code to the ID or address, and the reminders start once it is entered.
+ */
+
+import api from './api.js?v=32';
+import {
+  formatDate,
+  showError,
+  showSuccess
+} from './utils.js?v=32';
+
+const METHOD_LABELS = {
+  discord: 'Discord direct message',
+  email: 'Email'
+};
+
+// The live subscription, if any, while the dialog is open
+let currentSubscription = null;
+
+// Show only the contact field the chosen method needs
+function syncMethodFields() {
+  const method = document.getElementById('noticeMethod').value;
+  document.getElementById('noticeDiscordField').hidden = method !== 'discord';
+  document.getElementById('noticeEmailField').hidden = method !== 'email';
+  document.getElementById('noticeDiscordId').required = method === 'discord';
+  document.getElementById('noticeEmail').required = method === 'email';
+}
+
+function describeSubscription(subscription, pending) {
+  const waiting = pending
+    ? ` A code was sent by ${METHOD_LABELS[pending.method].toLowerCase()}; enter it below to finish.`
+    : '';
+  if (!subscription) return `Reminders are off.${waiting}`;
+  const last = subscription.lastNotice
+    ? ` Last reminder ${formatDate(subscription.lastNotice.sentAt, false)}.`
+    : '';
+  return `On since ${formatDate(subscription.optedInAt, false)}, by ${METHOD_LABELS[subscription.method].toLowerCase()}.${last}${waiting}`;
+}
+
+// The code box and Confirm only matter while a code is out
+function showPending(pending) {
+  document.getElementById('noticeCodeField').hidden = !pending;
+  document.getElementById('noticeConfirm').hidden = !pending;
+  document.getElementById('noticeCode').value = '';
+}
+
+/**
+ * Open the reminder settings for the signed-in controller
+ */
+export async function openNoticeDialog() {
+  let settings;
+  try {
+    settings = await api.getMyNotices();
+  } catch (error) {
+    showError(`Failed to load reminder settings: ${error.message}`);
+    return;
+  }
+  if (settings.methods.length === 0) {
+    showError('Currency reminders are not set up on this dashboard yet');
+    return;
+  }
+
+  const form = document.getElementById('noticeForm');
+  form.reset();
+  const select = document.getElementById('noticeMethod');
+  for (const option of select.options) option.disabled = !settings.methods.includes(option.value);
+
+  const { subscription, pending } = settings;
+  currentSubscription = subscription;
+  select.value = subscription?.method || settings.methods[0];
+  document.getElementById('noticeDiscordId').value = subscription?.discordId || '';
+  document.getElementById('noticeEmail').value = subscription?.email || '';
+  document.getElementById('noticeOff').hidden = !subscription;
+  document.getElementById('noticeDialogStatus').textContent = describeSubscription(subscription, pending);
+  showPending(pending);
+  syncMethodFields();
+  document.getElementById('noticeDialog').showModal();
+}
+
+/**
+ * Wire up the reminder dialog's method switch and buttons
+ */
+export function setupNoticeDialog() {
+  const form = document.getElementById('noticeForm');
+  if (!form) return;
+
+  document.getElementById('noticeMethod').addEventListener('change', syncMethodFields);
+
+  form.addEventListener('submit', async (event) => {
+    const action = event.submitter?.value;
+    if (!['save', 'confirm', 'off'].includes(action)) return;
+    // Stay open until the worker accepts, so a wrong ID or code can be corrected in place
+    event.preventDefault();
+    const data = new FormData(form);
+    try {
+      if (action === 'off') {
+        await api.deleteMyNotices();
+        showSuccess('Currency reminders turned off');
+      } else if (action === 'confirm') {
+        const code = String(data.get('code')).trim();
+        if (!/^\d{6}$/.test(code)) {
+          showError('Enter the six-digit code from the confirmation message');
+          return;
+        }
+        await api.confirmMyNotices(code);
+        showSuccess('Currency reminders on');
+      } else {
+        const method = data.get('method');
+        const { pending } = await api.updateMyNotices(method === 'discord'
+          ? { method, discordId: String(data.get('discordId')).trim() }
+          : { method, email: String(data.get('email')).trim() });
+        // Nothing changes until the code comes back, so keep the dialog open for it
+        document.getElementById('noticeDialogStatus').textContent = describeSubscription(currentSubscription, pending);
+        showPending(pending);
+        document.getElementById('noticeCode').focus();
+        showSuccess('Confirmation code sent');
+        return;
+      }
+      document.getElementById('noticeDialog').close();
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+}
@@ -221,6 +221,7 @@ export function createStatusBadge(status, text = null) {
     'requirement-met': 'badge-success',
     'requirement-not-met': 'badge-danger',
     'not-division-member': 'badge-purple',
+    'at-risk': 'badge-warning',
     flagged: 'badge-danger',
     failed: 'badge-danger',
     pending: 'badge-warning'
@@ -230,6 +231,7 @@ export function createStatusBadge(status, text = null) {
     'requirement-met': 'Requirement Met',
     'requirement-not-met': 'Requirement Not Met',
     'not-division-member': 'Not Division Member',
+    'at-risk': 'At Risk',
     pending: 'Pending Audit'
   };
 
@@ -102,6 +102,7 @@ async function getKVData(env, origin) {
       return jsonResponse({
         visiting: [],
         local: [],
+        endorsements: [],
         lastRun: null,
         batchProgress: { visitingOffset: 0, localOffset: 0 },
         initFlags: { visitingInit: false, localInit: false }
@@ -114,7 +115,9 @@ async function getKVData(env, origin) {
     return jsonResponse({
       visiting: store.visiting || [],
       local: store.local || [],
+      endorsements: store.endorsements || [],
       lastRun: store.lastRun || null,
+      policyVersion: store.policyVersion ?? null,
       batchProgress: store.batchProgress || { visitingOffset: 0, localOffset: 0 },
       initFlags: store.initFlags || { visitingInit: false, localInit: false }
     }, 200, origin);
@@ -34,7 +34,7 @@ const AERODROME = [
 ];
 
 // Approach/Departure positions (APP/DEP)
-const APPROACH = [
+export const APPROACH = [
   'AD-R_APP', 'AD-W_APP', 'AD_APP', 'AMB_APP', 'AV_APP', 'AYNZ_APP', 'AYPY_APP', 'BA_APP',
   'BK_APP', 'BN-C_APP', 'BN-F_APP', 'BN-R_APP', 'BN-S_APP', 'BN_APP', 'CB-W_APP', 'CB_APP',
   'CIN_APP', 'CS-W_APP', 'CS_APP', 'DN-W_APP', 'DN_APP', 'ES_APP', 'HB_APP', 'LM_APP',
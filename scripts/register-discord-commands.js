@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Register the dashboard's Discord slash commands
+ * Overwrites the application's command list with /currency, /online, /flagged and
+ * /exclude, usable in servers only and by server admins until the staff role is
+ * allowed under Server Settings > Integrations. The worker answers them at
+ * /api/discord/interactions.
+ *
+ * Environment:
+ *   DISCORD_APPLICATION_ID - application (client) ID
+ *   DISCORD_BOT_TOKEN      - bot token of the same application
+ *   DISCORD_GUILD_ID       - optional; registers in one server only, which takes
+ *                            effect immediately (global commands can take an hour)
+ *
+ * Usage: DISCORD_APPLICATION_ID=... DISCORD_BOT_TOKEN=... node scripts/register-discord-commands.js
+ */
+
+const https = require('https');
+
+const OPTION_STRING = 3;
+// No permission bits: only server admins see the commands until they are given
+// to the staff role under Server Settings > Integrations. The worker still
+// checks DISCORD_STAFF_ROLE_IDS on every command.
+const STAFF_ONLY = '0';
+// Servers only, never DMs, where there are no roles to check
+const GUILD_CONTEXT = [0];
+
+const COMMANDS = [
+  {
+    name: 'currency',
+    description: 'Currency for one controller: visiting hours, last local session, exclusion',
+    default_member_permissions: STAFF_ONLY,
+    contexts: GUILD_CONTEXT,
+    options: [
+      { type: OPTION_STRING, name: 'cid', description: 'VATSIM CID', required: true, min_length: 3, max_length: 10 }
+    ]
+  },
+  {
+    name: 'online',
+    description: 'Who is on a VATPAC position right now, and any live-check issues',
+    default_member_permissions: STAFF_ONLY,
+    contexts: GUILD_CONTEXT
+  },
+  {
+    name: 'flagged',
+    description: 'Controllers flagged by the last daily audit',
+    default_member_permissions: STAFF_ONLY,
+    contexts: GUILD_CONTEXT,
+    options: [
+      {
+        type: OPTION_STRING,
+        name: 'type',
+        description: 'Which audit',
+        required: true,
+        choices: [
+          { name: 'Visiting', value: 'visiting' },
+          { name: 'Local', value: 'local' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'exclude',
+    description: 'Exclude a controller from the daily audit alerts (staff only)',
+    default_member_permissions: STAFF_ONLY,
+    contexts: GUILD_CONTEXT,
+    options: [
+      { type: OPTION_STRING, name: 'cid', description: 'VATSIM CID', required: true, min_length: 3, max_length: 10 },
+      {
+        type: OPTION_STRING,
+        name: 'reason',
+        description: 'Why they are excluded',
+        required: true,
+        // Keep in sync with EXCLUSION_REASONS in worker-complete.js
+        choices: [
+          { name: 'Leave of absence', value: 'loa' },
+          { name: 'Medical', value: 'medical' },
+          { name: 'Staff member', value: 'staff' },
+          { name: 'Other (note required)', value: 'other' }
+        ]
+      },
+      { type: OPTION_STRING, name: 'note', description: 'Details (required for Other)', max_length: 500 },
+      { type: OPTION_STRING, name: 'expires', description: 'Expiry date, YYYY-MM-DD (default: never)', max_length: 10 }
+    ]
+  }
+];
+
+function put(path, token, body) {
+  const payload = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: 'discord.com',
+      path: `/api/v10${path}`,
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bot ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'vatpac-sync/1.0'
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          return;
+        }
+        resolve(JSON.parse(data));
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function main() {
+  const { DISCORD_APPLICATION_ID: appId, DISCORD_BOT_TOKEN: token, DISCORD_GUILD_ID: guildId } = process.env;
+  if (!appId || !token) {
+    console.error('DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN must be set.');
+    process.exit(1);
+  }
+
+  const path = guildId
+    ? `/applications/${appId}/guilds/${guildId}/commands`
+    : `/applications/${appId}/commands`;
+  const registered = await put(path, token, COMMANDS);
+  console.log(`Registered ${registered.length} commands${guildId ? ` in guild ${guildId}` : ' globally'}:`);
+  for (const command of registered) console.log(`  /${command.name}`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -173,7 +173,7 @@ ${formatArray([...categories.DEL, ...categories.GND, ...categories.TWR])}
 ];
 
 // Approach/Departure positions (APP/DEP)
-const APPROACH = [
+export const APPROACH = [
 ${formatArray([...categories.APP, ...categories.DEP])}
 ];
 
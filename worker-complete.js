@@ -5,7 +5,9 @@
  *
  * Requirements:
  * - Visiting: 3 hours per 3 months
- * - Local: Once per 12 months
+ * - Local: Once per 12 months, plus a session on each held endorsement
+ * Controllers who pass now but would lapse within 14 days are marked at-risk.
+ * All thresholds are defaults; the live values come from the KV policy document.
  */
 
 const VATSIM_DATA_URL = "https://data.vatsim.net/v3/vatsim-data.json";
@@ -34,10 +36,44 @@ const logger = {
 	}
 };
 
-// Requirements
-const VISITING_HOURS_REQUIRED = 3;  // 3 hours per 3 months
-const LOCAL_MONTHS_REQUIRED = 12;   // Once per 12 months
-const MONTHS_LOOKBACK = 3;
+// Requirements — defaults for the currency policy. The live values come from the
+// versioned policy document in KV (see Currency Policy below) and can be changed
+// through PUT /api/policy without a redeploy.
+const DEFAULT_POLICY = {
+  visitingHoursRequired: 3,   // 3 hours per 3 months
+  localMonthsRequired: 12,    // Once per 12 months
+  monthsLookback: 3,
+  atRiskWindowDays: 14,       // Warn this many days before currency lapses
+  regainWindowDays: 14,       // Deadline offered to flagged visitors to regain currency
+
+  // Divisions excluded from visiting controller checks
+  excludedVisitingDivisions: ['NZ'],
+
+  // Minimum visiting hours on a position class, by rating ('*' = every rating).
+  // Classes are DEL/GND/TWR/APP/CTR/FSS/FMP or the AERODROME/APPROACH/ENROUTE
+  // groups, e.g. { C1: { ENROUTE: 1 } }. Empty means total hours are all that count.
+  visitingClassMinimums: {},
+
+  // Aerodromes whose towers are procedural and need `procTwr` rather than plain `twr`.
+  // Left empty means every _TWR position is checked against `twr`. Populate from
+  // VATPAC policy to enable procedural-tower enforcement.
+  proceduralTwrPositions: [],
+
+  // Sectors needing the oceanic endorsement. Populate from VATPAC policy to enable.
+  oceanicPositions: [],
+
+  // Months a local controller may hold a full endorsement without a session on a
+  // position it covers before being flagged for it. SKUs left out are not checked.
+  endorsementCurrencyMonths: { twr: 12, tma: 12, enr: 12, sydTcu: 12 },
+
+  // Positions requiring the Sydney Complex (sydTcu) endorsement
+  sydComplexPositions: [
+    'SY_APP', 'SY-N_APP', 'SY-N_DEP', 'SY_DEP',
+    'SY-DE_APP', 'SY-D_APP', 'SY-R_DEP',
+    'ML-GUN_CTR', 'ML-BIK_CTR',
+    'WS_APP', 'BK_APP', 'RI_APP'
+  ]
+};
 
 // Rate limiting and batch processing constants
 const MAX_RETRIES = 2;                   // Reduced retries to save subrequests
@@ -149,20 +185,12 @@ const ENDORSEMENT_LABELS = {
   sydTcu: 'Sydney Complex'
 };
 
-// Aerodromes whose towers are procedural and need `procTwr` rather than plain `twr`.
-// Left empty means every _TWR position is checked against `twr`. Populate from
-// VATPAC policy to enable procedural-tower enforcement.
-const PROCEDURAL_TWR_POSITIONS = new Set([]);
-
-// Sectors needing the oceanic endorsement. Populate from VATPAC policy to enable.
-const OCEANIC_POSITIONS = new Set([]);
-
 // Endorsement required to control a given position, beyond the baseline `dev`.
 // NOTE: TMS exposes no ground-specific SKU — DEL/GND/FMP are covered by `dev` alone.
 function getRequiredEndorsementSku(callsign) {
   const cs = String(callsign || '').toUpperCase();
-  if (PROCEDURAL_TWR_POSITIONS.has(cs)) return 'procTwr';
-  if (OCEANIC_POSITIONS.has(cs)) return 'oca';
+  if (POLICY.proceduralTwrPositions.has(cs)) return 'procTwr';
+  if (POLICY.oceanicPositions.has(cs)) return 'oca';
   if (cs.endsWith('_TWR')) return 'twr';
   if (isApproachPosition(cs)) return 'tma';
   if (isEnroutePosition(cs)) return 'enr';
@@ -195,13 +223,17 @@ function getSoloExpiry(endorsementsByCid, cid, sku) {
   return Number.isFinite(expiresAt) ? new Date(expiresAt).toISOString() : null;
 }
 
-// Positions requiring the Sydney Complex (sydTcu) endorsement
-const SYD_COMPLEX_POSITIONS = new Set([
-  'SY_APP', 'SY-N_APP', 'SY-N_DEP', 'SY_DEP',
-  'SY-DE_APP', 'SY-D_APP', 'SY-R_DEP',
-  'ML-GUN_CTR', 'ML-BIK_CTR',
-  'WS_APP', 'BK_APP', 'RI_APP'
-]);
+// How the controller holds the SKU a position needs: 'active', 'solo' (unexpired)
+// or 'missing'. Null when the position needs nothing beyond `dev`.
+function getEndorsementState(endorsementsByCid, cid, sku, now = Date.now()) {
+  if (!sku) return null;
+  if (!holdsEndorsement(endorsementsByCid, cid, sku, now)) return 'missing';
+  const full = (endorsementsByCid.get(String(cid)) || []).some(e =>
+    String(e?.sku || '').toLowerCase() === String(sku).toLowerCase()
+    && Number(e?.status) === ACTIVE_ENDORSEMENT_STATUS
+  );
+  return full ? 'active' : 'solo';
+}
 
 // StatSim sessions cache (loaded from KV)
 let STATSIM_SESSIONS_CACHE = null;
@@ -217,6 +249,7 @@ async function loadStore(env) {
       if (stored) {
         if (!stored.visiting) stored.visiting = [];
         if (!stored.local) stored.local = [];
+        if (!stored.endorsements) stored.endorsements = [];
         if (!stored.batchProgress) stored.batchProgress = { visitingOffset: 0, localOffset: 0 };
         if (!stored.initFlags) stored.initFlags = { visitingInit: false, localInit: false };
         logger.info('Store loaded from KV', { visitingCount: stored.visiting.length, localCount: stored.local.length });
@@ -226,7 +259,7 @@ async function loadStore(env) {
       logger.error('KV read failed', e);
     }
   }
-  return { visiting: [], local: [], lastRun: null, batchProgress: { visitingOffset: 0, localOffset: 0 }, initFlags: { visitingInit: false, localInit: false } };
+  return { visiting: [], local: [], endorsements: [], lastRun: null, batchProgress: { visitingOffset: 0, localOffset: 0 }, initFlags: { visitingInit: false, localInit: false } };
 }
 
 async function saveStore(env, data) {
@@ -240,216 +273,2164 @@ async function saveStore(env, data) {
   }
 }
 
-// Exclusions stored as { [cid]: { addedAt } }
+// Why a controller is excluded; one of these is required on every new exclusion.
+const EXCLUSION_REASONS = {
+  loa: 'Leave of absence',
+  medical: 'Medical',
+  staff: 'Staff member',
+  other: 'Other'
+};
+
+// What an exclusion mutes: either daily audit, and/or individual live-check categories.
+const EXCLUSION_SCOPES = ['visiting-audit', 'local-audit', 'live:rating', 'live:atis', 'live:endorsement', 'live:roster'];
+
+// Exclusions added before scopes existed only ever muted the daily audit alerts.
+const LEGACY_EXCLUSION_SCOPE = ['visiting-audit', 'local-audit'];
+
+function normalizeExclusion(meta = {}) {
+  return {
+    reason: meta.reason || null,
+    note: meta.note || null,
+    scope: Array.isArray(meta.scope) && meta.scope.length ? meta.scope : LEGACY_EXCLUSION_SCOPE,
+    expiresAt: meta.expiresAt || null,
+    addedAt: meta.addedAt || null,
+    addedBy: meta.addedBy || null
+  };
+}
+
+function isExclusionActive(exclusion, now = Date.now()) {
+  return !exclusion.expiresAt || Date.parse(exclusion.expiresAt) > now;
+}
+
+// An exclusion as the public controller profile shows it: why, the note and
+// who added it are for staff only.
+function describeProfileExclusion(cid, exclusion, isStaff) {
+  const { reason, note, addedBy, ...rest } = exclusion;
+  return { cid, ...rest, ...(isStaff ? { reason, note, addedBy } : {}), active: isExclusionActive(exclusion) };
+}
+
+// CIDs whose unexpired exclusion covers `scope`.
+function getExcludedCids(exclusions, scope, now = Date.now()) {
+  const cids = new Set();
+  for (const [cid, exclusion] of Object.entries(exclusions)) {
+    if (exclusion.scope.includes(scope) && isExclusionActive(exclusion, now)) cids.add(cid);
+  }
+  return cids;
+}
+
+// Validates a POST /api/exclusions body; returns { errors } or { exclusion }.
+function parseExclusionInput(body, now = Date.now()) {
+  const errors = [];
+  const reason = String(body.reason || '').trim().toLowerCase();
+  if (!(reason in EXCLUSION_REASONS)) {
+    errors.push({ field: 'reason', error: `must be one of: ${Object.keys(EXCLUSION_REASONS).join(', ')}` });
+  }
+  const note = String(body.note || '').trim().slice(0, 500) || null;
+  if (reason === 'other' && !note) {
+    errors.push({ field: 'note', error: 'is required when reason is other' });
+  }
+
+  let expiresAt = null;
+  if (body.expiresAt) {
+    const ms = Date.parse(body.expiresAt);
+    // A bare date runs to the end of that day (UTC)
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(body.expiresAt) ? ms + 86399999 : ms;
+    if (!Number.isFinite(ms)) errors.push({ field: 'expiresAt', error: 'must be a date' });
+    else if (end <= now) errors.push({ field: 'expiresAt', error: 'must be in the future' });
+    else expiresAt = new Date(end).toISOString();
+  }
+
+  const scope = body.scope == null ? LEGACY_EXCLUSION_SCOPE : body.scope;
+  if (!Array.isArray(scope) || scope.length === 0) {
+    errors.push({ field: 'scope', error: 'must be a non-empty list' });
+  } else {
+    const unknown = scope.filter(s => !EXCLUSION_SCOPES.includes(s));
+    if (unknown.length) errors.push({ field: 'scope', error: `unsupported scope: ${unknown.join(', ')}` });
+  }
+
+  if (errors.length) return { errors };
+  return { exclusion: { reason, note, scope: [...new Set(scope)], expiresAt } };
+}
+
+// Adds or replaces one CID's exclusion (already validated) and logs who did it.
+async function storeExclusion(env, principal, cid, parsedExclusion) {
+  const exclusions = await loadExclusions(env);
+  const existing = exclusions[cid];
+  exclusions[cid] = {
+    ...parsedExclusion,
+    addedAt: new Date().toISOString(),
+    addedBy: principal.sub
+  };
+  await saveExclusions(env, exclusions);
+  const { reason, note, scope, expiresAt } = parsedExclusion;
+  await recordStaffAction(env, principal, existing ? 'exclusion.update' : 'exclusion.add', {
+    cid,
+    reason: note ? `${EXCLUSION_REASONS[reason]}: ${note}` : EXCLUSION_REASONS[reason],
+    details: { scope, expiresAt }
+  });
+  return exclusions[cid];
+}
+
+const EXCLUSION_CSV_HEADER = ['cid', 'reason', 'note', 'expires', 'scope', 'added_at', 'added_by'];
+const EXCLUSION_IMPORT_MAX_ROWS = 500;
+
+// Accepted header names for each import column
+const EXCLUSION_CSV_COLUMNS = {
+  cid: ['cid'],
+  reason: ['reason'],
+  note: ['note', 'notes'],
+  expiresAt: ['expires', 'expiry', 'expires_at', 'expiresat'],
+  scope: ['scope']
+};
+
+// Note given to exclusions from before reasons were required, so the export re-imports
+const LEGACY_EXCLUSION_NOTE = 'Added before reasons were recorded';
+
+// Written so the file imports back unchanged: expired rows (which the import
+// would reject) are left out, and a missing reason becomes other with a note.
+function exclusionsToCsv(exclusions, now = Date.now()) {
+  const rows = Object.entries(exclusions)
+    .filter(([, e]) => isExclusionActive(e, now))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([cid, e]) => [
+      cid,
+      e.reason || 'other',
+      e.reason ? e.note || '' : [LEGACY_EXCLUSION_NOTE, e.note].filter(Boolean).join(': '),
+      e.expiresAt || '',
+      e.scope.join(';'),
+      e.addedAt || '',
+      e.addedBy || ''
+    ]);
+  return toCsv(EXCLUSION_CSV_HEADER, rows);
+}
+
+// Parses an import CSV into { rows: [{ line, cid, exclusion }], errors: [{ line, cid, field, error }] }.
+// Reasons may be given as keys (loa) or labels (Leave of absence); scope is ;-separated.
+function parseExclusionCsv(text) {
+  const table = parseCsv(text);
+  if (table.length === 0) return { rows: [], errors: [{ line: 1, field: 'file', error: 'CSV is empty' }] };
+
+  const header = table[0].map(h => h.trim().toLowerCase());
+  const columns = {};
+  for (const [key, names] of Object.entries(EXCLUSION_CSV_COLUMNS)) {
+    const index = header.findIndex(h => names.includes(h));
+    if (index !== -1) columns[key] = index;
+  }
+  const missing = ['cid', 'reason'].filter(k => columns[k] === undefined);
+  if (missing.length) {
+    return { rows: [], errors: [{ line: 1, field: 'header', error: `missing column(s): ${missing.join(', ')}` }] };
+  }
+  if (table.length - 1 > EXCLUSION_IMPORT_MAX_ROWS) {
+    return { rows: [], errors: [{ line: 1, field: 'file', error: `at most ${EXCLUSION_IMPORT_MAX_ROWS} rows per import` }] };
+  }
+
+  const reasonKeys = Object.fromEntries(
+    Object.entries(EXCLUSION_REASONS).flatMap(([key, label]) => [[key, key], [label.toLowerCase(), key]])
+  );
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  table.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    // Undo csvEscape's formula guard so exported text comes back as it was
+    const cell = key => (columns[key] === undefined
+      ? ''
+      : String(cells[columns[key]] ?? '').replace(/^'(?=[=+\-@\t\r])/, '').trim());
+    const cid = cell('cid');
+    if (!/^\d{3,10}$/.test(cid)) {
+      errors.push({ line, cid, field: 'cid', error: 'Invalid CID' });
+      return;
+    }
+    if (seen.has(cid)) {
+      errors.push({ line, cid, field: 'cid', error: `duplicate of line ${seen.get(cid)}` });
+      return;
+    }
+    seen.set(cid, line);
+
+    const reasonText = cell('reason').toLowerCase();
+    const scopeText = cell('scope');
+    const parsed = parseExclusionInput({
+      reason: reasonKeys[reasonText] || reasonText,
+      note: cell('note'),
+      expiresAt: cell('expiresAt') || null,
+      scope: scopeText ? scopeText.split(/[;|]/).map(v => v.trim()).filter(Boolean) : null
+    });
+    if (parsed.errors) {
+      for (const e of parsed.errors) errors.push({ line, cid, ...e });
+      return;
+    }
+    rows.push({ line, cid, exclusion: parsed.exclusion });
+  });
+  return { rows, errors };
+}
+
+// Exclusions stored as { [cid]: { reason, note, scope, expiresAt, addedAt, addedBy } }
 async function loadExclusions(env) {
   if (!env.hours) return {};
   try {
-    return await env.hours.get(EXCLUSIONS_KV_KEY, { type: 'json' }) || {};
+    const stored = await env.hours.get(EXCLUSIONS_KV_KEY, { type: 'json' }) || {};
+    return Object.fromEntries(Object.entries(stored).map(([cid, meta]) => [cid, normalizeExclusion(meta)]));
   } catch (e) {
     logger.error('Exclusions KV read failed', e);
     return {};
   }
 }
 
+// Throws on failure: every caller reports success, so it must not when nothing was saved
 async function saveExclusions(env, exclusions) {
-  if (!env.hours) return;
+  if (!env.hours) throw new Error('Exclusions storage is not configured');
   try {
     await env.hours.put(EXCLUSIONS_KV_KEY, JSON.stringify(exclusions));
   } catch (e) {
     logger.error('Exclusions KV save failed', e);
+    throw e;
   }
 }
 
-// ==================== REST API ====================
+// ==================== CSV ====================
 
-function jsonResponse(data, status = 200, env = null, request = null) {
-  const allowedOrigins = [
-    'https://controllerstats.actuallyleviticus.xyz',
-    'https://realleviticus.github.io'
-  ];
+function csvEscape(value) {
+  let str = value == null ? '' : String(value);
+  // Stop spreadsheets from evaluating exported text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
 
-  let origin = 'https://controllerstats.actuallyleviticus.xyz';
-  if (request) {
-    const requestOrigin = request.headers.get('Origin');
-    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
-      origin = requestOrigin;
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
     }
   }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
 
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': origin,
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    }
-  });
+// Columns for GET /api/audit/:type/export, as [header, record => value]
+const AUDIT_EXPORT_COLUMNS = {
+  audit: [
+    ['cid', r => r.id.replace('audit_', '')],
+    ['status', r => r.status],
+    ['rating', r => r.rating],
+    ['division', r => r.division],
+    ['hours_logged', r => r.hoursLogged],
+    ['last_session', r => r.lastSession],
+    ['current_until', r => r.currentUntil],
+    ['hours_needed', r => r.hoursNeeded],
+    ['needed_by', r => r.neededBy],
+    ['class_shortfalls', r => (r.classShortfalls || []).map(c => `${c.positionClass} ${c.logged}/${c.required}`).join(';')],
+    ['loa_days', r => r.loa?.days],
+    // Whether, not why: reasons and notes stay behind the staff-only exclusion routes
+    ['excluded', r => (r.excluded ? true : '')]
+  ],
+  endorsements: [
+    ['cid', r => r.id.replace('audit_', '')],
+    ['rating', r => r.rating],
+    ['endorsement', r => r.endorsement],
+    ['months_required', r => r.monthsRequired],
+    ['last_session', r => r.lastSession]
+  ]
+};
+
+// The daily alert's CSV mixes audit and endorsement rows, so it takes both column sets
+const AUDIT_REPORT_CSV_COLUMNS = [
+  ...AUDIT_EXPORT_COLUMNS.audit,
+  ...AUDIT_EXPORT_COLUMNS.endorsements.filter(([name]) => !AUDIT_EXPORT_COLUMNS.audit.some(([n]) => n === name))
+];
+// Rows in the daily alert above which the full list is attached as CSV
+const AUDIT_REPORT_CSV_THRESHOLD = 50;
+
+function auditRecordsToExport(type, records) {
+  const columns = AUDIT_EXPORT_COLUMNS[type === 'endorsements' ? 'endorsements' : 'audit'];
+  return {
+    header: columns.map(([name]) => name),
+    rows: records.map(r => columns.map(([, get]) => get(r) ?? ''))
+  };
 }
 
-function handleCORS(env, request = null) {
-  const allowedOrigins = [
-    'https://controllerstats.actuallyleviticus.xyz',
-    'https://realleviticus.github.io'
-  ];
+// ==================== Leave of Absence ====================
+// Staff-recorded leave, keyed by LOA id: { [id]: { cid, start, end, note, addedAt, addedBy } }.
+// Dates are inclusive UTC days (YYYY-MM-DD). runAudit pro-rates visitors'
+// requirement and extends locals' window rather than excluding them outright.
 
-  let origin = 'https://controllerstats.actuallyleviticus.xyz';
-  if (request) {
-    const requestOrigin = request.headers.get('Origin');
-    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
-      origin = requestOrigin;
-    }
+const LOA_KV_KEY = 'loa_registry';
+const LOA_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function loadLoas(env) {
+  if (!env.hours) return {};
+  try {
+    return await env.hours.get(LOA_KV_KEY, { type: 'json' }) || {};
+  } catch (e) {
+    logger.error('LOA registry KV read failed', e);
+    return {};
   }
+}
 
-  return new Response(null, {
-    headers: {
-      'Access-Control-Allow-Origin': origin,
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400'
-    }
-  });
+async function saveLoas(env, loas) {
+  await env.hours.put(LOA_KV_KEY, JSON.stringify(loas));
 }
 
-async function handleAPI(request, env) {
-  const url = new URL(request.url);
-  const path = url.pathname;
-  const method = request.method;
+// Map<cid, Array<{ startMs, endMs }>> with end as the exclusive end of the last day.
+function groupLoasByCid(loas) {
+  const byCid = new Map();
+  for (const loa of Object.values(loas)) {
+    const startMs = Date.parse(loa.start);
+    const endMs = Date.parse(loa.end) + DAY_MS;
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) continue;
+    if (!byCid.has(loa.cid)) byCid.set(loa.cid, []);
+    byCid.get(loa.cid).push({ startMs, endMs });
+  }
+  return byCid;
+}
 
-  try {
-    // GET /api/kv - Direct KV access
-    if (path === '/api/kv' && method === 'GET') {
-      const store = await loadStore(env);
-      return jsonResponse({
-        visiting: store.visiting || [],
-        local: store.local || [],
-        lastRun: store.lastRun,
-        batchProgress: store.batchProgress,
-        initFlags: store.initFlags
-      }, 200, env, request);
-    }
+// Days of leave falling inside [fromMs, toMs), counting overlapping LOAs once.
+function loaDaysWithin(ranges, fromMs, toMs) {
+  const clipped = ranges
+    .map(r => [Math.max(r.startMs, fromMs), Math.min(r.endMs, toMs)])
+    .filter(([a, b]) => b > a)
+    .sort((x, y) => x[0] - y[0]);
+  let total = 0;
+  let cursor = -Infinity;
+  for (const [a, b] of clipped) {
+    const start = Math.max(a, cursor);
+    if (b > start) total += b - start;
+    cursor = Math.max(cursor, b);
+  }
+  return total / DAY_MS;
+}
 
-    // GET /api/audit/visiting
-    if (path === '/api/audit/visiting' && method === 'GET') {
-      const store = await loadStore(env);
-      return jsonResponse({
-        active: [],
-        completed: store.visiting || [],
-        stats: {
-          totalActive: 0,
-          totalCompleted: store.visiting?.length || 0
-        }
-      }, 200, env, request);
-    }
+// { loaDays, factor, extraDays } for the currency window ending at `asOf`.
+// Visiting: requirement scales by the share of the window not on leave.
+// Local: the window starts earlier by the days spent on leave inside it.
+function getLoaAdjustment(ranges, isLocal, asOf = Date.now()) {
+  if (!ranges || ranges.length === 0) return { loaDays: 0, factor: 1, extraDays: 0 };
+  const windowStart = new Date(asOf);
+  windowStart.setMonth(windowStart.getMonth() - (isLocal ? POLICY.localMonthsRequired : POLICY.monthsLookback));
+  const loaDays = loaDaysWithin(ranges, windowStart.getTime(), asOf);
+  if (isLocal) {
+    return { loaDays: Math.round(loaDays * 10) / 10, factor: 1, extraDays: loaDays };
+  }
+  const windowDays = (asOf - windowStart.getTime()) / DAY_MS;
+  return { loaDays: Math.round(loaDays * 10) / 10, factor: Math.max(0, 1 - loaDays / windowDays), extraDays: 0 };
+}
 
-    // GET /api/audit/local
-    if (path === '/api/audit/local' && method === 'GET') {
-      const store = await loadStore(env);
-      return jsonResponse({
-        active: [],
-        completed: store.local || [],
-        stats: {
-          totalActive: 0,
-          totalCompleted: store.local?.length || 0
-        }
-      }, 200, env, request);
-    }
+function getLoaStatus(loa, now = Date.now()) {
+  if (Date.parse(loa.end) + DAY_MS <= now) return 'past';
+  return Date.parse(loa.start) > now ? 'upcoming' : 'active';
+}
 
-    // GET /api/stats
-    if (path === '/api/stats' && method === 'GET') {
-      const store = await loadStore(env);
-      return jsonResponse({
-        totalWatched: 0,
-        activeAudits: 0,
-        completedAudits: (store.visiting?.length || 0) + (store.local?.length || 0),
-        lastUpdate: store.lastRun || new Date().toISOString()
-      }, 200, env, request);
-    }
+// Validates a POST/PUT body, merged over `existing` for updates; returns { errors } or { loa }.
+function parseLoaInput(body, existing = null) {
+  const errors = [];
+  const merged = { ...(existing || {}), ...body };
+  const cid = String(merged.cid || '').trim();
+  if (!/^\d{3,10}$/.test(cid)) errors.push({ field: 'cid', error: 'must be a VATSIM CID' });
+
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) && Number.isFinite(Date.parse(v));
+  if (!isDate(merged.start)) errors.push({ field: 'start', error: 'must be a date (YYYY-MM-DD)' });
+  if (!isDate(merged.end)) errors.push({ field: 'end', error: 'must be a date (YYYY-MM-DD)' });
+  if (isDate(merged.start) && isDate(merged.end)) {
+    const days = (Date.parse(merged.end) - Date.parse(merged.start)) / DAY_MS + 1;
+    if (days < 1) errors.push({ field: 'end', error: 'must not be before start' });
+    else if (days > LOA_MAX_DAYS) errors.push({ field: 'end', error: `LOA cannot exceed ${LOA_MAX_DAYS} days` });
+  }
 
-    // DEBUG: Check KV contents
-    if (path === '/api/debug/kv' && method === 'GET') {
-      const store = await loadStore(env);
-      return jsonResponse({
-        hasData: !!store,
-        visitingCount: store?.visiting?.length || 0,
-        localCount: store?.local?.length || 0,
-        lastRun: store?.lastRun,
-        batchProgress: store?.batchProgress,
-        initFlags: store?.initFlags,
-        sampleVisiting: store?.visiting?.slice(0, 2) || [],
-        sampleLocal: store?.local?.slice(0, 2) || []
-      }, 200, env, request);
+  if (errors.length) return { errors };
+  return {
+    loa: {
+      cid,
+      start: merged.start,
+      end: merged.end,
+      note: String(merged.note || '').trim().slice(0, 500) || null
     }
+  };
+}
 
-    // DEBUG: Reset initialization flags
-    if (path === '/api/debug/reset-init' && method === 'POST') {
-      const store = await loadStore(env);
-      store.initFlags = { visitingInit: false, localInit: false };
-      store.batchProgress = { visitingOffset: 0, localOffset: 0 };
-      store.visiting = [];
-      store.local = [];
-      await saveStore(env, store);
-      return jsonResponse({
-        success: true,
-        message: 'Cleared all data. Next run will reinitialize.'
-      }, 200, env, request);
-    }
+// ==================== Currency Policy ====================
+
+// The current policy lives under POLICY_KV_KEY; every version ever saved is also
+// kept under `${POLICY_KV_KEY}:v<n>` so an old audit can be traced to its rules.
+const POLICY_KV_KEY = 'currency_policy';
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+const POLICY_CALLSIGN_PATTERN = /^[A-Z0-9]+(?:-[A-Z0-9]+)?_[A-Z]{3}$/;
+const POLICY_DIVISION_PATTERN = /^[A-Z0-9]{2,5}$/;
+
+// Field -> validator returning an error string, or null if the value is acceptable.
+const POLICY_VALIDATORS = {
+  visitingHoursRequired: v => (typeof v === 'number' && v > 0 && v <= 100) ? null : 'must be a number greater than 0 and at most 100',
+  localMonthsRequired: v => (Number.isInteger(v) && v >= 1 && v <= 36) ? null : 'must be a whole number of months between 1 and 36',
+  monthsLookback: v => (Number.isInteger(v) && v >= 1 && v <= 24) ? null : 'must be a whole number of months between 1 and 24',
+  atRiskWindowDays: v => (Number.isInteger(v) && v >= 0 && v <= 90) ? null : 'must be a whole number of days between 0 and 90',
+  regainWindowDays: v => (Number.isInteger(v) && v >= 1 && v <= 90) ? null : 'must be a whole number of days between 1 and 90',
+  excludedVisitingDivisions: v => validateStringList(v, POLICY_DIVISION_PATTERN, 'division ID'),
+  visitingClassMinimums: v => validateClassMinimums(v),
+  endorsementCurrencyMonths: v => validateEndorsementMonths(v),
+  proceduralTwrPositions: v => validateStringList(v, /^[A-Z0-9]+(?:-[A-Z0-9]+)?_TWR$/, '_TWR callsign'),
+  oceanicPositions: v => validateStringList(v, POLICY_CALLSIGN_PATTERN, 'callsign'),
+  sydComplexPositions: v => validateStringList(v, POLICY_CALLSIGN_PATTERN, 'callsign')
+};
 
-    // GET /api/live-check - inspect current online violations (no alerts)
-    if (path === '/api/live-check' && method === 'GET') {
-      const result = await checkLiveVatsimData(env);
-      return jsonResponse(result, 200, env, request);
-    }
+function validateStringList(value, pattern, what) {
+  if (!Array.isArray(value)) return 'must be an array';
+  const bad = value.filter(item => typeof item !== 'string' || !pattern.test(item));
+  return bad.length ? `contains invalid ${what}(s): ${bad.slice(0, 5).join(', ')}` : null;
+}
 
-    // GET /api/exclusions - list CIDs muted from under-hours audit alerts
-    if (path === '/api/exclusions' && method === 'GET') {
-      const exclusions = await loadExclusions(env);
-      return jsonResponse({
-        exclusions: Object.entries(exclusions).map(([cid, meta]) => ({ cid, ...meta }))
-      }, 200, env, request);
+function validateClassMinimums(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object keyed by rating';
+  const ratings = new Set(['*', ...Object.values(RATING_MAP)]);
+  const classes = new Set([...POSITION_CLASSES, ...Object.keys(POSITION_CLASS_GROUPS)]);
+  for (const [rating, rules] of Object.entries(value)) {
+    if (!ratings.has(rating)) return `unknown rating: ${rating}`;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return `rules for ${rating} must be an object`;
+    for (const [positionClass, hours] of Object.entries(rules)) {
+      if (!classes.has(positionClass)) return `unknown position class for ${rating}: ${positionClass}`;
+      if (typeof hours !== 'number' || hours < 0 || hours > 100) return `${rating}.${positionClass} must be a number of hours between 0 and 100`;
     }
+  }
+  return null;
+}
 
-    // POST /api/exclusions - mute a CID's under-hours audit alerts
-    if (path === '/api/exclusions' && method === 'POST') {
-      const body = await request.json().catch(() => ({}));
-      const cid = String(body.cid || '').trim();
-      if (!/^\d{3,10}$/.test(cid)) {
-        return jsonResponse({ error: 'Invalid CID' }, 400, env, request);
-      }
-      const exclusions = await loadExclusions(env);
-      exclusions[cid] = { addedAt: new Date().toISOString() };
-      await saveExclusions(env, exclusions);
-      logger.info('CID muted from under-hours audit alerts', { cid });
-      return jsonResponse({ success: true, cid }, 200, env, request);
-    }
+function validateEndorsementMonths(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object keyed by endorsement SKU';
+  for (const [sku, months] of Object.entries(value)) {
+    if (!(sku in ENDORSEMENT_LABELS) || sku === DEV_ENDORSEMENT_SKU) return `unsupported endorsement SKU: ${sku}`;
+    if (!Number.isInteger(months) || months < 1 || months > 36) return `${sku} must be a whole number of months between 1 and 36`;
+  }
+  return null;
+}
 
-    // DELETE /api/exclusions/:cid - unmute a CID's under-hours audit alerts
-    if (path.startsWith('/api/exclusions/') && method === 'DELETE') {
-      const cid = path.replace('/api/exclusions/', '').trim();
-      const exclusions = await loadExclusions(env);
-      if (!(cid in exclusions)) {
-        return jsonResponse({ error: 'CID not excluded' }, 404, env, request);
-      }
-      delete exclusions[cid];
-      await saveExclusions(env, exclusions);
-      logger.info('CID unmuted for under-hours audit alerts', { cid });
-      return jsonResponse({ success: true, cid }, 200, env, request);
-    }
+// Returns a list of { field, error } problems; empty means the document is valid.
+function validatePolicy(candidate) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return [{ field: null, error: 'Policy must be a JSON object' }];
+  }
+  const errors = [];
+  for (const field of Object.keys(candidate)) {
+    if (!(field in POLICY_VALIDATORS)) errors.push({ field, error: 'unknown field' });
+  }
+  for (const [field, validate] of Object.entries(POLICY_VALIDATORS)) {
+    const error = validate(candidate[field]);
+    if (error) errors.push({ field, error });
+  }
+  return errors;
+}
 
-    // DEBUG: Check TMS data
-    if (path === '/api/debug/tms' && method === 'GET') {
-      const visitingCids = await getTMSList('visiting', env);
-      const localCids = await getTMSList('local', env);
-      return jsonResponse({
-        visiting: {
-          count: visitingCids.length,
-          sample: visitingCids.slice(0, 10)
-        },
-        local: {
-          count: localCids.length,
-          sample: localCids.slice(0, 10)
-        }
-      }, 200, env, request);
+// Lists become Sets so hot-path lookups stay O(1).
+function compilePolicy(doc) {
+  return {
+    ...doc,
+    version: doc.version || 0,
+    excludedVisitingDivisions: new Set(doc.excludedVisitingDivisions),
+    proceduralTwrPositions: new Set(doc.proceduralTwrPositions),
+    oceanicPositions: new Set(doc.oceanicPositions),
+    sydComplexPositions: new Set(doc.sydComplexPositions)
+  };
+}
+
+// Active policy for this isolate. Version 0 means the built-in defaults.
+let POLICY = compilePolicy(DEFAULT_POLICY);
+let POLICY_TS = 0;
+
+async function loadPolicyDoc(env) {
+  if (!env.hours) return null;
+  try {
+    return await env.hours.get(POLICY_KV_KEY, { type: 'json' });
+  } catch (e) {
+    logger.error('Policy KV read failed', e);
+    return null;
+  }
+}
+
+// Refreshes the module-level POLICY from KV. Called at the top of every fetch and
+// cron tick; a missing or invalid stored document leaves the defaults in force.
+async function loadPolicy(env, { force = false } = {}) {
+  if (!force && POLICY_TS && (Date.now() - POLICY_TS) < POLICY_CACHE_TTL_MS) return POLICY;
+
+  const stored = await loadPolicyDoc(env);
+  if (stored) {
+    // Fields added after a document was saved fall back to their defaults
+    const { version, updatedAt, updatedBy, ...storedFields } = stored;
+    const fields = { ...DEFAULT_POLICY, ...storedFields };
+    const errors = validatePolicy(fields);
+    if (errors.length === 0) {
+      POLICY = compilePolicy({ ...fields, version });
+    } else {
+      logger.error('Stored policy is invalid — using defaults', null, { version, errors });
+      POLICY = compilePolicy(DEFAULT_POLICY);
+    }
+  } else {
+    POLICY = compilePolicy(DEFAULT_POLICY);
+  }
+  POLICY_TS = Date.now();
+  return POLICY;
+}
+
+// Validates and stores a new policy version. `changes` may be partial; omitted
+// fields carry over from the current policy.
+async function savePolicy(env, changes, updatedBy = null) {
+  const current = await loadPolicyDoc(env) || { ...DEFAULT_POLICY, version: 0 };
+  const { version: _v, updatedAt: _u, updatedBy: _b, ...currentFields } = current;
+  const fields = { ...DEFAULT_POLICY, ...currentFields, ...changes };
+  const errors = validatePolicy(fields);
+  if (errors.length > 0) return { errors };
+
+  const doc = {
+    ...fields,
+    version: (current.version || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy
+  };
+  await env.hours.put(`${POLICY_KV_KEY}:v${doc.version}`, JSON.stringify(doc));
+  await env.hours.put(POLICY_KV_KEY, JSON.stringify(doc));
+  await loadPolicy(env, { force: true });
+  logger.info('Currency policy updated', { version: doc.version, fields: Object.keys(changes) });
+  return { policy: doc };
+}
+
+// ==================== Authentication ====================
+// Mutating routes need a bearer token carrying a role. Tokens are HS256 JWTs signed
+// with the AUTH_SECRET secret. API keys issued via /api/auth/keys are also listed in
+// KV, so deleting the entry revokes the key. ADMIN_API_KEY is a bootstrap credential
+// for issuing the first keys.
+
+const ROLE_LEVELS = { viewer: 1, staff: 2, admin: 3 };
+const ALLOWED_ORIGINS = [
+  'https://controllerstats.actuallyleviticus.xyz',
+  'https://realleviticus.github.io'
+];
+const API_KEYS_KV_KEY = 'api_keys';
+const API_KEY_MAX_DAYS = 365;
+
+const textEncoder = new TextEncoder();
+
+function base64Encode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function base64UrlEncode(bytes) {
+  return base64Encode(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const padded = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+function importHmacKey(secret) {
+  return crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+async function signToken(payload, secret) {
+  const header = base64UrlEncode(textEncoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const body = base64UrlEncode(textEncoder.encode(JSON.stringify(payload)));
+  const sig = await crypto.subtle.sign('HMAC', await importHmacKey(secret), textEncoder.encode(`${header}.${body}`));
+  return `${header}.${body}.${base64UrlEncode(new Uint8Array(sig))}`;
+}
+
+// Returns the payload of a correctly signed, unexpired token, otherwise null.
+async function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !secret) return null;
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC', await importHmacKey(secret), base64UrlDecode(parts[2]), textEncoder.encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) return null;
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+    if (payload.exp && payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// Compares SHA-256 digests so the check takes the same time however much matches.
+async function secretsMatch(a, b) {
+  if (!a || !b) return false;
+  const [da, db] = await Promise.all([
+    crypto.subtle.digest('SHA-256', textEncoder.encode(a)),
+    crypto.subtle.digest('SHA-256', textEncoder.encode(b))
+  ]);
+  const x = new Uint8Array(da), y = new Uint8Array(db);
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+async function loadApiKeys(env) {
+  if (!env.hours) return {};
+  try {
+    return await env.hours.get(API_KEYS_KV_KEY, { type: 'json' }) || {};
+  } catch (e) {
+    logger.error('Failed to load API keys', e);
+    return {};
+  }
+}
+
+async function saveApiKeys(env, keys) {
+  await env.hours.put(API_KEYS_KV_KEY, JSON.stringify(keys));
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === name) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+// Resolves the request's bearer token (or dashboard session cookie) to
+// { sub, role, keyId }, or null if absent/invalid. The cookie only counts on
+// safe methods: any site can make the browser send it with a form POST, while
+// the dashboard itself always sends the bearer header.
+async function authenticate(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const cookieAllowed = request.method === 'GET' || request.method === 'HEAD';
+  const token = match ? match[1].trim() : (cookieAllowed ? getCookie(request, SESSION_COOKIE) : null);
+  if (!token) return null;
+
+  if (await secretsMatch(token, env.ADMIN_API_KEY)) {
+    return { sub: 'bootstrap-admin', role: 'admin', keyId: null };
+  }
+
+  const payload = await verifyToken(token, env.AUTH_SECRET);
+  if (!payload || !(payload.role in ROLE_LEVELS)) return null;
+  if (payload.typ && payload.typ !== 'session') return null;
+  if (payload.kid) {
+    const keys = await loadApiKeys(env);
+    if (!keys[payload.kid]) return null;
+  }
+  return {
+    sub: String(payload.sub || ''),
+    name: payload.name || null,
+    role: payload.role,
+    keyId: payload.kid || null,
+    expiresAt: payload.exp || null
+  };
+}
+
+// Returns { principal } when the caller holds at least `role`, otherwise { response } to send back.
+async function requireRole(request, env, role) {
+  if (!env.AUTH_SECRET && !env.ADMIN_API_KEY) {
+    logger.warn('Protected route called but no AUTH_SECRET or ADMIN_API_KEY is configured', { path: new URL(request.url).pathname });
+    return { response: jsonResponse({ error: 'Authentication not configured' }, 503, env, request) };
+  }
+  const principal = await authenticate(request, env);
+  if (!principal) {
+    return { response: jsonResponse({ error: 'Authentication required' }, 401, env, request) };
+  }
+  if (ROLE_LEVELS[principal.role] < ROLE_LEVELS[role]) {
+    logger.warn('Forbidden: insufficient role', { sub: principal.sub, role: principal.role, required: role });
+    return { response: jsonResponse({ error: `Requires ${role} role` }, 403, env, request) };
+  }
+  return { principal };
+}
+
+// ==================== VATSIM Connect Login ====================
+// Dashboard sign-in. /api/auth/login sends the browser to VATSIM Connect, the
+// callback exchanges the code, derives a role from the user's TMS roles and issues
+// a session JWT in the redirect fragment, which the dashboard (on another site) sends
+// as a bearer token. The SameSite=Lax cookie only serves pages opened on the worker.
+// Set OAUTH_MOCK=true to sign in through a local form instead of VATSIM; it is
+// ignored wherever VATSIM_CLIENT_ID is configured, so it cannot reach production.
+
+const SESSION_COOKIE = 'vatpac_session';
+const OAUTH_STATE_COOKIE = 'vatpac_oauth_state';
+const SESSION_TTL_SECONDS = 8 * 3600;
+const OAUTH_STATE_TTL_SECONDS = 600;
+const VATSIM_AUTH_URL = 'https://auth.vatsim.net';
+const DASHBOARD_URL = 'https://controllerstats.actuallyleviticus.xyz/';
+// For links in scheduled messages, which have no request to take the origin from
+const WORKER_URL = 'https://vatsimactivitybot.therealleviticus.workers.dev';
+
+// TMS role names (case-insensitive) that grant dashboard permissions.
+// Anyone else who signs in is a viewer.
+const TMS_ROLE_MAP = {
+  admin: 'admin',
+  'division director': 'admin',
+  'web team': 'admin',
+  staff: 'staff',
+  'training staff': 'staff',
+  'atc training': 'staff',
+  instructor: 'staff',
+  mentor: 'staff'
+};
+
+function isMockOAuth(env) {
+  return String(env.OAUTH_MOCK || '').toLowerCase() === 'true' && !env.VATSIM_CLIENT_ID;
+}
+
+// Only send sessions back to the dashboard origins (or localhost while mocking).
+function isAllowedRedirect(target, env) {
+  try {
+    const u = new URL(target);
+    if (ALLOWED_ORIGINS.includes(u.origin)) return true;
+    return isMockOAuth(env) && ['localhost', '127.0.0.1'].includes(u.hostname);
+  } catch {
+    return false;
+  }
+}
+
+// TMS role entries may be plain names or objects; normalise to lowercase names.
+function getTMSRoleNames(user) {
+  return (Array.isArray(user?.roles) ? user.roles : [])
+    .map(r => String(typeof r === 'string' ? r : (r?.name || r?.slug || '')).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function resolveDashboardRole(cid, env) {
+  let user = null;
+  try {
+    user = await getTMSUser(cid, env);
+  } catch (e) {
+    logger.warn('TMS unavailable while resolving dashboard role; defaulting to viewer', { cid, error: e.message });
+  }
+  let role = 'viewer';
+  for (const name of getTMSRoleNames(user)) {
+    const mapped = TMS_ROLE_MAP[name];
+    if (mapped && ROLE_LEVELS[mapped] > ROLE_LEVELS[role]) role = mapped;
+  }
+  return role;
+}
+
+// Real and mock providers share one shape so the callback does not care which is active.
+function getOAuthProvider(env) {
+  if (isMockOAuth(env)) {
+    return {
+      authorizeUrl: (origin, params) => `${origin}/api/auth/mock/authorize?${params}`,
+      exchangeCode: async code => {
+        const payload = await verifyToken(code, env.AUTH_SECRET);
+        return payload?.typ === 'mock_code' ? code : null;
+      },
+      fetchUser: async accessToken => {
+        const payload = await verifyToken(accessToken, env.AUTH_SECRET);
+        return payload?.typ === 'mock_code' ? { cid: String(payload.cid), name: payload.name || null } : null;
+      }
+    };
+  }
+
+  const base = env.VATSIM_AUTH_URL || VATSIM_AUTH_URL;
+  return {
+    authorizeUrl: (_origin, params) => `${base}/oauth/authorize?${params}`,
+    exchangeCode: async (code, redirectUri) => {
+      const r = await fetch(`${base}/oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          client_id: env.VATSIM_CLIENT_ID,
+          client_secret: env.VATSIM_CLIENT_SECRET,
+          redirect_uri: redirectUri,
+          code
+        })
+      });
+      if (!r.ok) {
+        logger.warn('VATSIM Connect token exchange failed', { status: r.status });
+        return null;
+      }
+      return (await r.json())?.access_token || null;
+    },
+    fetchUser: async accessToken => {
+      const r = await fetch(`${base}/api/user`, {
+        headers: { 'Authorization': `Bearer ${accessToken}`, 'Accept': 'application/json' }
+      });
+      if (!r.ok) {
+        logger.warn('VATSIM Connect user lookup failed', { status: r.status });
+        return null;
+      }
+      const data = (await r.json())?.data;
+      return data?.cid ? { cid: String(data.cid), name: data.personal?.name_full || null } : null;
+    }
+  };
+}
+
+function redirectResponse(location, cookies = []) {
+  const headers = new Headers({ Location: location });
+  for (const cookie of cookies) headers.append('Set-Cookie', cookie);
+  return new Response(null, { status: 302, headers });
+}
+
+function sessionCookie(name, value, maxAge, sameSite = 'Lax') {
+  return `${name}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=${sameSite}`;
+}
+
+async function handleOAuthLogin(request, env) {
+  const url = new URL(request.url);
+  if (!env.AUTH_SECRET || (!isMockOAuth(env) && !env.VATSIM_CLIENT_ID)) {
+    return jsonResponse({ error: 'Login not configured' }, 503, env, request);
+  }
+  const requested = url.searchParams.get('redirect');
+  const redirect = requested && isAllowedRedirect(requested, env) ? requested : DASHBOARD_URL;
+  const nonce = crypto.randomUUID();
+  const state = await signToken({
+    typ: 'oauth_state',
+    nonce,
+    redirect,
+    exp: Math.floor(Date.now() / 1000) + OAUTH_STATE_TTL_SECONDS
+  }, env.AUTH_SECRET);
+
+  const params = new URLSearchParams({
+    client_id: env.VATSIM_CLIENT_ID || 'mock',
+    redirect_uri: `${url.origin}/api/auth/callback`,
+    response_type: 'code',
+    scope: 'full_name vatsim_details',
+    state
+  });
+  // The nonce cookie ties the callback to the browser that started the login.
+  return redirectResponse(getOAuthProvider(env).authorizeUrl(url.origin, params), [
+    sessionCookie(OAUTH_STATE_COOKIE, nonce, OAUTH_STATE_TTL_SECONDS)
+  ]);
+}
+
+async function handleOAuthCallback(request, env) {
+  const url = new URL(request.url);
+  const state = await verifyToken(url.searchParams.get('state'), env.AUTH_SECRET);
+  if (state?.typ !== 'oauth_state' || state.nonce !== getCookie(request, OAUTH_STATE_COOKIE)) {
+    return jsonResponse({ error: 'Invalid or expired login state' }, 400, env, request);
+  }
+  const code = url.searchParams.get('code');
+  if (!code) {
+    return jsonResponse({ error: url.searchParams.get('error') || 'Login cancelled' }, 400, env, request);
+  }
+
+  const provider = getOAuthProvider(env);
+  const accessToken = await provider.exchangeCode(code, `${url.origin}/api/auth/callback`);
+  const user = accessToken ? await provider.fetchUser(accessToken) : null;
+  if (!user) {
+    return jsonResponse({ error: 'VATSIM login failed' }, 502, env, request);
+  }
+
+  const role = await resolveDashboardRole(user.cid, env);
+  const now = Math.floor(Date.now() / 1000);
+  const session = await signToken({
+    typ: 'session',
+    sub: user.cid,
+    name: user.name,
+    role,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  }, env.AUTH_SECRET);
+  logger.info('Dashboard login', { cid: user.cid, role, mock: isMockOAuth(env) });
+
+  return redirectResponse(`${state.redirect.split('#')[0]}#session=${session}`, [
+    sessionCookie(SESSION_COOKIE, session, SESSION_TTL_SECONDS),
+    sessionCookie(OAUTH_STATE_COOKIE, '', 0)
+  ]);
+}
+
+// Minimal stand-in for VATSIM Connect's consent page: pick any CID and sign in.
+async function handleMockAuthorize(request, env) {
+  const url = new URL(request.url);
+  if (request.method === 'POST') {
+    const form = await request.formData();
+    const cid = String(form.get('cid') || '').trim();
+    const redirectUri = String(form.get('redirect_uri') || '');
+    if (!/^\d{3,10}$/.test(cid) || new URL(redirectUri, url.origin).origin !== url.origin) {
+      return jsonResponse({ error: 'Invalid mock login' }, 400, env, request);
+    }
+    const code = await signToken({
+      typ: 'mock_code',
+      cid,
+      name: String(form.get('name') || '').trim() || `Mock ${cid}`,
+      exp: Math.floor(Date.now() / 1000) + OAUTH_STATE_TTL_SECONDS
+    }, env.AUTH_SECRET);
+    const target = new URL(redirectUri, url.origin);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', String(form.get('state') || ''));
+    return redirectResponse(target.toString());
+  }
+
+  const field = name => escapeHtmlAttr(url.searchParams.get(name) || '');
+  return new Response(`<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Mock VATSIM Connect</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+  <h1>Mock VATSIM Connect</h1>
+  <p>Local testing only. Roles still come from TMS for the CID you enter.</p>
+  <form method="POST">
+    <input type="hidden" name="state" value="${field('state')}">
+    <input type="hidden" name="redirect_uri" value="${field('redirect_uri')}">
+    <p><label>CID <input name="cid" required pattern="\\d{3,10}"></label></p>
+    <p><label>Name <input name="name"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+function escapeHtmlAttr(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// ==================== Staff Action Log ====================
+// Append-only record of who changed what. Every entry is its own KV key and is
+// never rewritten. Keys sort newest-first because they embed an inverted
+// timestamp. The filterable fields also ride in the key metadata, so a query can
+// scan with list() and only fetch the entries it returns.
+
+const AUDIT_LOG_PREFIX = 'audit_log:';
+const AUDIT_LOG_MAX_TS = 9999999999999;
+const AUDIT_LOG_DEFAULT_LIMIT = 50;
+const AUDIT_LOG_MAX_LIMIT = 200;
+// Upper bound on keys examined per request; a narrow filter returns a cursor to keep going
+const AUDIT_LOG_MAX_SCAN = 5000;
+const AUDIT_LOG_REASON_MAX = 500;
+
+// Optional free-text reason: JSON body `reason`, else ?reason= (for DELETE and bodiless POSTs).
+function getActionReason(url, body = null) {
+  const raw = body && typeof body === 'object' && body.reason != null ? body.reason : url.searchParams.get('reason');
+  const reason = String(raw ?? '').trim();
+  return reason ? reason.slice(0, AUDIT_LOG_REASON_MAX) : null;
+}
+
+// Best effort: a KV hiccup here is logged but never undoes the action it describes.
+async function recordStaffAction(env, principal, action, { cid = null, reason = null, details = null } = {}) {
+  const at = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date(at).toISOString(),
+    actor: principal?.sub || 'unknown',
+    actorName: principal?.name || null,
+    actorRole: principal?.role || null,
+    action,
+    cid: cid ? String(cid) : null,
+    reason,
+    details
+  };
+  logger.info('Staff action', { action, actor: entry.actor, cid: entry.cid });
+  if (!env.hours) return entry;
+  try {
+    const key = `${AUDIT_LOG_PREFIX}${String(AUDIT_LOG_MAX_TS - at).padStart(13, '0')}:${entry.id}`;
+    await env.hours.put(key, JSON.stringify(entry), {
+      metadata: { at: entry.at, actor: entry.actor, action, cid: entry.cid }
+    });
+  } catch (e) {
+    logger.error('Failed to record staff action', e, { action, actor: entry.actor });
+  }
+  return entry;
+}
+
+// `action` matches exactly or as a prefix ("exclusion" matches exclusion.add and exclusion.remove).
+function matchesAuditLogFilters(meta, { actor, cid, action, from, to }) {
+  if (!meta) return false;
+  if (actor && String(meta.actor) !== actor) return false;
+  if (cid && String(meta.cid) !== cid) return false;
+  if (action && meta.action !== action && !String(meta.action).startsWith(`${action}.`)) return false;
+  if (from && meta.at < from) return false;
+  if (to && meta.at > to) return false;
+  return true;
+}
+
+// The paging cursor is the KV list cursor of the current page plus how many of its
+// keys were already consumed, so a page that overshoots the limit loses nothing.
+// Shared by every append-only log that keeps its filter fields in key metadata.
+function encodeAuditLogCursor(pageCursor, skip) {
+  return btoa(JSON.stringify({ c: pageCursor, s: skip }));
+}
+
+function decodeAuditLogCursor(cursor) {
+  if (!cursor) return { c: null, s: 0 };
+  try {
+    const { c = null, s = 0 } = JSON.parse(atob(cursor));
+    return { c, s: Number.isInteger(s) && s >= 0 ? s : 0 };
+  } catch {
+    return { c: null, s: 0 };
+  }
+}
+
+// Walks keys under `prefix` in order, keeping those whose metadata passes `matches`.
+async function scanKeysByMetadata(env, prefix, matches, { limit, cursor = null }) {
+  let { c: pageCursor, s: skip } = decodeAuditLogCursor(cursor);
+  const matched = [];
+  let scanned = 0;
+  let nextCursor = null;
+
+  while (true) {
+    const page = await env.hours.list({ prefix, cursor: pageCursor || undefined, limit: 1000 });
+    let i = skip;
+    for (; i < page.keys.length && matched.length < limit; i++) {
+      scanned++;
+      if (matches(page.keys[i].metadata)) matched.push(page.keys[i].name);
+    }
+    if (i < page.keys.length) {
+      nextCursor = encodeAuditLogCursor(pageCursor, i);
+      break;
+    }
+    if (page.list_complete) break;
+    pageCursor = page.cursor;
+    skip = 0;
+    if (matched.length >= limit || scanned >= AUDIT_LOG_MAX_SCAN) {
+      nextCursor = encodeAuditLogCursor(pageCursor, 0);
+      break;
+    }
+  }
+  return { names: matched, cursor: nextCursor, scanned };
+}
+
+async function queryAuditLog(env, filters = {}, { limit = AUDIT_LOG_DEFAULT_LIMIT, cursor = null } = {}) {
+  if (!env.hours) return { entries: [], cursor: null, scanned: 0 };
+  const { names, cursor: nextCursor, scanned } = await scanKeysByMetadata(
+    env, AUDIT_LOG_PREFIX, meta => matchesAuditLogFilters(meta, filters), { limit, cursor }
+  );
+  const entries = (await Promise.all(
+    names.map(name => env.hours.get(name, { type: 'json' }))
+  )).filter(Boolean);
+  return { entries, cursor: nextCursor, scanned };
+}
+
+// ?from= / ?to= as ISO strings; a bare date as `to` means the whole of that day.
+// Returns { range } or { error }.
+function parseDateRangeParams(searchParams) {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    const value = searchParams.get(field);
+    if (!value) continue;
+    const ms = Date.parse(value);
+    if (!Number.isFinite(ms)) return { error: `Invalid ${field} date` };
+    range[field] = new Date(field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + 86399999 : ms).toISOString();
+  }
+  return { range };
+}
+
+// ==================== Violation History ====================
+// Every live-check violation becomes an incident. While it is still being seen the
+// incident lives in one "open" document, rewritten only when an incident opens,
+// closes or changes exclusion (lastSeen is refreshed at most every few minutes, so
+// the check runs every minute without a KV write each time); once the condition
+// clears or the controller logs off it is resolved and appended under its own key,
+// newest-first, like the staff action log. Its closedAt is the tick that saw it clear.
+//
+// Staff move incidents open -> acknowledged -> resolved. Those changes live in a
+// separate document that the per-minute check only reads, so a tick can never
+// overwrite an acknowledgement made while it was running. A manually resolved
+// incident stays in the open document until the condition clears, so it is not
+// reopened (and re-pinged) while the controller is still on.
+
+const VIOLATIONS_OPEN_KEY = 'violations:open';
+const VIOLATIONS_STATE_KEY = 'violations:state';
+const VIOLATION_STATUSES = ['open', 'acknowledged', 'resolved'];
+const VIOLATION_NOTE_MAX = 500;
+const VIOLATION_LOG_PREFIX = 'violation:';
+const VIOLATION_RETENTION_DAYS = 365;
+const VIOLATION_TYPES = ['rating', 'atis', 'endorsement', 'roster'];
+// How stale lastSeen may get before an otherwise unchanged tick rewrites it
+const VIOLATION_LAST_SEEN_REFRESH_MINUTES = 15;
+
+// Same identity as the Discord dedup keys: one incident per controller per position
+// (ATIS is per controller, since it is about how many they run at once).
+function violationKey(type, v) {
+  return type === 'atis' ? `atis_${v.cid}` : `${type}_${v.cid}_${v.callsign}`;
+}
+
+async function loadOpenViolations(env) {
+  if (!env.hours) return {};
+  try {
+    return await env.hours.get(VIOLATIONS_OPEN_KEY, { type: 'json' }) || {};
+  } catch (e) {
+    logger.error('Open violations KV read failed', e);
+    return {};
+  }
+}
+
+async function loadViolationState(env) {
+  if (!env.hours) return {};
+  try {
+    return await env.hours.get(VIOLATIONS_STATE_KEY, { type: 'json' }) || {};
+  } catch (e) {
+    logger.error('Violation state KV read failed', e);
+    return {};
+  }
+}
+
+// Staff changes layered over an open incident (stored by incident id)
+function applyViolationState(incident, state) {
+  const change = state[incident.id];
+  return change ? { ...incident, ...change } : incident;
+}
+
+// Acknowledged and resolved incidents no longer ping Discord
+function isViolationSuppressed(incident) {
+  return incident.status === 'acknowledged' || incident.status === 'resolved';
+}
+
+function withViolationDuration(incident, now = Date.now()) {
+  const end = incident.closedAt ? Date.parse(incident.closedAt) : now;
+  return { ...incident, durationMinutes: Math.max(0, Math.round((end - Date.parse(incident.firstSeen)) / 60000)) };
+}
+
+// Opens, refreshes and closes incidents from one live check. `violations` maps each
+// type to the list checkLiveVatsimData returned; `excludedByType` holds the CIDs
+// muted for that category (still recorded, just flagged); `onlineCids` tells a
+// controller logging off apart from the condition clearing.
+// Returns counts plus the keys staff have acknowledged or resolved.
+async function recordViolations(env, violations, { excludedByType = {}, onlineCids = new Set(), evaluated = VIOLATION_TYPES } = {}, now = Date.now()) {
+  if (!env.hours) return { opened: 0, closed: 0, open: 0, suppressedKeys: [], incidentIds: {} };
+  const [open, state] = await Promise.all([loadOpenViolations(env), loadViolationState(env)]);
+  const at = new Date(now).toISOString();
+  const seen = new Set();
+  let opened = 0;
+  let refreshed = false;
+
+  for (const type of VIOLATION_TYPES) {
+    for (const v of violations[type] || []) {
+      const key = violationKey(type, v);
+      seen.add(key);
+      const excluded = !!excludedByType[type]?.has(String(v.cid));
+      if (open[key]) {
+        const stale = now - Date.parse(open[key].lastSeen) >= VIOLATION_LAST_SEEN_REFRESH_MINUTES * 60000;
+        if (stale || open[key].excluded !== excluded) {
+          open[key] = { ...open[key], lastSeen: at, excluded, details: v };
+          refreshed = true;
+        }
+        continue;
+      }
+      open[key] = {
+        id: crypto.randomUUID(),
+        key,
+        type,
+        cid: String(v.cid),
+        callsign: v.callsign || v.controlCallsign || null,
+        status: 'open',
+        firstSeen: at,
+        lastSeen: at,
+        closedAt: null,
+        excluded,
+        details: v
+      };
+      opened++;
+    }
+  }
+
+  // A category the check skipped this tick (say, an untrustworthy roster) says
+  // nothing about whether its incidents cleared
+  const closing = Object.values(open).filter(i => !seen.has(i.key) && evaluated.includes(i.type));
+  for (const incident of closing) {
+    delete open[incident.key];
+    const current = applyViolationState(incident, state);
+    const closed = withViolationDuration({
+      ...current,
+      status: 'resolved',
+      resolution: current.status === 'resolved' ? 'manual' : (onlineCids.has(current.cid) ? 'cleared' : 'logged-off'),
+      resolvedAt: current.resolvedAt || at,
+      closedAt: at
+    }, now);
+    const firstSeenMs = Date.parse(incident.firstSeen);
+    const logKey = `${VIOLATION_LOG_PREFIX}${String(AUDIT_LOG_MAX_TS - firstSeenMs).padStart(13, '0')}:${incident.id}`;
+    try {
+      await env.hours.put(logKey, JSON.stringify(closed), {
+        expirationTtl: VIOLATION_RETENTION_DAYS * 86400,
+        metadata: { type: closed.type, cid: closed.cid, firstSeen: closed.firstSeen, closedAt: closed.closedAt }
+      });
+    } catch (e) {
+      logger.error('Failed to archive violation', e, { key: incident.key });
+    }
+  }
+
+  // An unchanged tick leaves the document alone
+  if (opened || closing.length || refreshed) {
+    await env.hours.put(VIOLATIONS_OPEN_KEY, JSON.stringify(open));
+  }
+  if (opened || closing.length) {
+    logger.info('Violation history updated', { opened, closed: closing.length, open: Object.keys(open).length });
+  }
+  const suppressedKeys = Object.values(open)
+    .filter(i => isViolationSuppressed(applyViolationState(i, state)))
+    .map(i => i.key);
+  const incidentIds = Object.fromEntries(Object.values(open).map(i => [i.key, i.id]));
+  return { opened, closed: closing.length, open: Object.keys(open).length, suppressedKeys, incidentIds };
+}
+
+// Staff acknowledge or resolve an incident that is still in the open document.
+// Returns { incident } or { error, status }.
+async function updateViolationStatus(env, id, status, principal, note) {
+  const [open, state] = await Promise.all([loadOpenViolations(env), loadViolationState(env)]);
+  const incident = Object.values(open).find(i => i.id === id);
+  if (!incident) return { error: 'Incident not found or already resolved', status: 404 };
+  const current = applyViolationState(incident, state);
+  if (current.status === 'resolved') return { error: 'Incident is already resolved', status: 409 };
+  if (current.status === status) return { error: `Incident is already ${status}`, status: 409 };
+
+  const at = new Date().toISOString();
+  const change = { ...state[id], status };
+  if (status === 'acknowledged') {
+    Object.assign(change, { acknowledgedAt: at, acknowledgedBy: principal.sub, acknowledgeNote: note });
+  } else {
+    Object.assign(change, { resolvedAt: at, resolvedBy: principal.sub, resolveNote: note });
+  }
+
+  // Drop state for incidents the live check has since archived
+  const openIds = new Set(Object.values(open).map(i => i.id));
+  const next = Object.fromEntries(Object.entries(state).filter(([key]) => openIds.has(key)));
+  next[id] = change;
+  await env.hours.put(VIOLATIONS_STATE_KEY, JSON.stringify(next));
+  return { incident: withViolationDuration({ ...incident, ...change }) };
+}
+
+// An incident matches a date range if any part of it falls inside the range.
+function matchesViolationFilters(incident, { cid, type, status, from, to }) {
+  if (!incident) return false;
+  if (cid && incident.cid !== cid) return false;
+  if (type && incident.type !== type) return false;
+  // Archived incidents are all resolved, so their key metadata carries no status
+  if (status && (incident.status || 'resolved') !== status) return false;
+  if (to && incident.firstSeen > to) return false;
+  if (from && (incident.closedAt || new Date().toISOString()) < from) return false;
+  return true;
+}
+
+// Open incidents come first (on the first page only), then closed ones newest-first.
+async function queryViolations(env, filters = {}, { limit = AUDIT_LOG_DEFAULT_LIMIT, cursor = null } = {}) {
+  if (!env.hours) return { violations: [], cursor: null };
+  const now = Date.now();
+  const state = cursor ? {} : await loadViolationState(env);
+  const open = cursor ? [] : Object.values(await loadOpenViolations(env))
+    .map(i => applyViolationState(i, state))
+    .filter(i => matchesViolationFilters(i, filters))
+    .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen))
+    .map(i => withViolationDuration(i, now));
+
+  if (filters.status && filters.status !== 'resolved') return { violations: open, cursor: null };
+  const { names, cursor: nextCursor } = await scanKeysByMetadata(
+    env, VIOLATION_LOG_PREFIX, meta => matchesViolationFilters(meta, filters), { limit, cursor }
+  );
+  const closed = (await Promise.all(
+    names.map(name => env.hours.get(name, { type: 'json' }))
+  )).filter(Boolean);
+  return { violations: [...open, ...closed], cursor: nextCursor };
+}
+
+// ==================== REST API ====================
+
+function jsonResponse(data, status = 200, env = null, request = null) {
+  const allowedOrigins = ALLOWED_ORIGINS;
+
+  let origin = 'https://controllerstats.actuallyleviticus.xyz';
+  if (request) {
+    const requestOrigin = request.headers.get('Origin');
+    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
+      origin = requestOrigin;
+    }
+  }
+
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Credentials': 'true',
+    }
+  });
+}
+
+// Same CORS handling as jsonResponse, but a CSV download body.
+function csvResponse(csv, filename, env = null, request = null) {
+  const headers = new Headers(jsonResponse(null, 200, env, request).headers);
+  headers.set('Content-Type', 'text/csv; charset=utf-8');
+  headers.set('Content-Disposition', `attachment; filename="${filename}"`);
+  headers.set('Access-Control-Expose-Headers', 'Content-Disposition');
+  return new Response(csv, { status: 200, headers });
+}
+
+// Same CORS handling as jsonResponse, for pages opened in the browser (`filename` downloads it).
+function htmlResponse(html, filename = null, env = null, request = null) {
+  const headers = new Headers(jsonResponse(null, 200, env, request).headers);
+  headers.set('Content-Type', 'text/html; charset=utf-8');
+  if (filename) {
+    headers.set('Content-Disposition', `attachment; filename="${filename}"`);
+    headers.set('Access-Control-Expose-Headers', 'Content-Disposition');
+  }
+  return new Response(html, { status: 200, headers });
+}
+
+function handleCORS(env, request = null) {
+  const allowedOrigins = ALLOWED_ORIGINS;
+
+  let origin = 'https://controllerstats.actuallyleviticus.xyz';
+  if (request) {
+    const requestOrigin = request.headers.get('Origin');
+    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
+      origin = requestOrigin;
+    }
+  }
+
+  return new Response(null, {
+    headers: {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
+
+async function handleAPI(request, env, ctx) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+  const method = request.method;
+
+  try {
+    // GET /api/kv - Direct KV access
+    if (path === '/api/kv' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        visiting: store.visiting || [],
+        local: store.local || [],
+        endorsements: store.endorsements || [],
+        lastRun: store.lastRun,
+        policyVersion: store.policyVersion ?? null,
+        batchProgress: store.batchProgress,
+        initFlags: store.initFlags
+      }, 200, env, request);
+    }
+
+    // GET /api/audit/visiting
+    if (path === '/api/audit/visiting' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        active: [],
+        completed: store.visiting || [],
+        stats: {
+          totalActive: 0,
+          totalCompleted: store.visiting?.length || 0
+        }
+      }, 200, env, request);
+    }
+
+    // GET /api/audit/local
+    if (path === '/api/audit/local' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        active: [],
+        completed: store.local || [],
+        stats: {
+          totalActive: 0,
+          totalCompleted: store.local?.length || 0
+        }
+      }, 200, env, request);
+    }
+
+    // GET /api/audit/endorsements - local controllers not current on a held endorsement
+    if (path === '/api/audit/endorsements' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        flagged: store.endorsements || [],
+        endorsementCurrencyMonths: POLICY.endorsementCurrencyMonths,
+        lastRun: store.lastRun
+      }, 200, env, request);
+    }
+
+    // GET /api/audit/:type/export?format=csv|json&status=&search= - audit rows for scripted pulls
+    const auditExportMatch = path.match(/^\/api\/audit\/(visiting|local|endorsements)\/export$/);
+    if (auditExportMatch && method === 'GET') {
+      const type = auditExportMatch[1];
+      const format = url.searchParams.get('format') || 'csv';
+      if (!['csv', 'json'].includes(format)) {
+        return jsonResponse({ error: 'format must be csv or json' }, 400, env, request);
+      }
+      const status = url.searchParams.get('status');
+      const search = url.searchParams.get('search');
+      const store = await loadStore(env);
+      const records = (store[type] || []).filter(r =>
+        (!status || r.status === status) && (!search || r.id.includes(search))
+      );
+      const { header, rows } = auditRecordsToExport(type, records);
+      if (format === 'json') {
+        return jsonResponse({
+          type,
+          lastRun: store.lastRun,
+          rows: rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] === '' ? null : row[i]])))
+        }, 200, env, request);
+      }
+      const date = (store.lastRun || new Date().toISOString()).slice(0, 10);
+      return csvResponse(toCsv(header, rows), `${type}-audit-${date}.csv`, env, request);
+    }
+
+    // GET /api/audit/history - list stored daily audit snapshots (newest first)
+    if (path === '/api/audit/history' && method === 'GET') {
+      const index = await loadSnapshotIndex(env);
+      return jsonResponse({
+        snapshots: [...index].reverse(),
+        retentionDays: AUDIT_SNAPSHOT_RETENTION_DAYS
+      }, 200, env, request);
+    }
+
+    // GET /api/audit/diff?from=YYYY-MM-DD&to=YYYY-MM-DD - changes between two runs
+    // Defaults to the two most recent snapshots when either date is omitted.
+    if (path === '/api/audit/diff' && method === 'GET') {
+      const index = await loadSnapshotIndex(env);
+      const to = url.searchParams.get('to') || index[index.length - 1]?.date;
+      const from = url.searchParams.get('from')
+        || [...index].reverse().find(e => e.date < to)?.date;
+      if (!isValidSnapshotDate(from) || !isValidSnapshotDate(to)) {
+        return jsonResponse({ error: 'Invalid or missing date — expected YYYY-MM-DD' }, 400, env, request);
+      }
+      if (from >= to) {
+        return jsonResponse({ error: 'from must be earlier than to' }, 400, env, request);
+      }
+
+      const [fromSnapshot, toSnapshot] = await Promise.all([
+        loadAuditSnapshot(env, from),
+        loadAuditSnapshot(env, to)
+      ]);
+      if (!fromSnapshot || !toSnapshot) {
+        return jsonResponse({
+          error: 'Snapshot not found',
+          missing: [!fromSnapshot && from, !toSnapshot && to].filter(Boolean)
+        }, 404, env, request);
+      }
+
+      return jsonResponse({ from, to, ...diffAuditSnapshots(fromSnapshot, toSnapshot) }, 200, env, request);
+    }
+
+    // GET /api/digest?period=weekly|monthly&end=YYYY-MM-DD&format=json|html - a digest report
+    // (&download=1 saves the page). `end` picks the week before that Monday or the month before
+    // that month, defaulting to the latest. Staff only, or the signed link posted with the digest.
+    if (path === '/api/digest' && method === 'GET') {
+      const period = url.searchParams.get('period') || 'weekly';
+      const end = url.searchParams.get('end');
+      if (!DIGEST_PERIODS.includes(period) || (end && !isValidSnapshotDate(end))) {
+        return jsonResponse({ error: `period must be one of: ${DIGEST_PERIODS.join(', ')}; end must be YYYY-MM-DD` }, 400, env, request);
+      }
+      const range = getDigestPeriod(period, end ? new Date(end) : new Date());
+      const sig = url.searchParams.get('sig');
+      const link = sig ? await verifyToken(sig, env.AUTH_SECRET) : null;
+      if (!(link?.typ === 'digest' && link.period === period && link.end === range.to)) {
+        const auth = await requireRole(request, env, 'staff');
+        if (auth.response) return auth.response;
+      }
+      const digest = await buildDigest(env, range);
+      if (url.searchParams.get('format') !== 'html') {
+        return jsonResponse(digest, 200, env, request);
+      }
+      const filename = url.searchParams.has('download') ? `vatpac-${period}-digest-${range.from}.html` : null;
+      return htmlResponse(renderDigestHtml(digest), filename, env, request);
+    }
+
+    // GET /api/stats
+    if (path === '/api/stats' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        totalWatched: 0,
+        activeAudits: 0,
+        completedAudits: (store.visiting?.length || 0) + (store.local?.length || 0),
+        lastUpdate: store.lastRun || new Date().toISOString()
+      }, 200, env, request);
+    }
+
+    // DEBUG: Check KV contents
+    if (path === '/api/debug/kv' && method === 'GET') {
+      const store = await loadStore(env);
+      return jsonResponse({
+        hasData: !!store,
+        visitingCount: store?.visiting?.length || 0,
+        localCount: store?.local?.length || 0,
+        lastRun: store?.lastRun,
+        batchProgress: store?.batchProgress,
+        initFlags: store?.initFlags,
+        sampleVisiting: store?.visiting?.slice(0, 2) || [],
+        sampleLocal: store?.local?.slice(0, 2) || []
+      }, 200, env, request);
+    }
+
+    // DEBUG: Reset initialization flags
+    if (path === '/api/debug/reset-init' && method === 'POST') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const store = await loadStore(env);
+      store.initFlags = { visitingInit: false, localInit: false };
+      store.batchProgress = { visitingOffset: 0, localOffset: 0 };
+      store.visiting = [];
+      store.local = [];
+      store.endorsements = [];
+      await saveStore(env, store);
+      await recordStaffAction(env, auth.principal, 'reset.init', { reason: getActionReason(url) });
+      return jsonResponse({
+        success: true,
+        message: 'Cleared all data. Next run will reinitialize.'
+      }, 200, env, request);
+    }
+
+    // GET /api/live-check - inspect current online violations (no alerts)
+    if (path === '/api/live-check' && method === 'GET') {
+      const result = await checkLiveVatsimData(env);
+      return jsonResponse(result, 200, env, request);
+    }
+
+    // GET /api/live/online - every controller on a VATPAC position with compliance details
+    if (path === '/api/live/online' && method === 'GET') {
+      const snapshot = await getLiveOnlineSnapshot(env);
+      return jsonResponse(snapshot, snapshot.skipped ? 503 : 200, env, request);
+    }
+
+    // GET /api/policy - current currency policy (or ?version=N for an archived one)
+    if (path === '/api/policy' && method === 'GET') {
+      const version = url.searchParams.get('version');
+      if (version !== null) {
+        if (!/^\d+$/.test(version)) {
+          return jsonResponse({ error: 'Invalid policy version' }, 400, env, request);
+        }
+        const archived = env.hours ? await env.hours.get(`${POLICY_KV_KEY}:v${version}`, { type: 'json' }) : null;
+        if (!archived) {
+          return jsonResponse({ error: 'Policy version not found' }, 404, env, request);
+        }
+        return jsonResponse({ policy: archived }, 200, env, request);
+      }
+      // Fields added since the stored version was saved (regainWindowDays, say)
+      // show with the defaults the audit is actually using
+      const stored = await loadPolicyDoc(env);
+      return jsonResponse({
+        policy: { ...DEFAULT_POLICY, version: 0, updatedAt: null, updatedBy: null, ...stored },
+        isDefault: !stored
+      }, 200, env, request);
+    }
+
+    // PUT /api/policy - validate and store a new policy version (partial updates allowed)
+    if (path === '/api/policy' && method === 'PUT') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      if (!env.hours) {
+        return jsonResponse({ error: 'KV binding not configured' }, 503, env, request);
+      }
+      const body = await request.json().catch(() => null);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return jsonResponse({ error: 'Request body must be a JSON object' }, 400, env, request);
+      }
+      const { version: _v, updatedAt: _u, updatedBy: _b, ...changes } = body;
+      const result = await savePolicy(env, changes, auth.principal.sub);
+      if (result.errors) {
+        return jsonResponse({ error: 'Invalid policy', details: result.errors }, 400, env, request);
+      }
+      await recordStaffAction(env, auth.principal, 'policy.update', {
+        reason: getActionReason(url),
+        details: { version: result.policy.version, fields: Object.keys(changes) }
+      });
+      return jsonResponse({ success: true, policy: result.policy }, 200, env, request);
+    }
+
+    // GET /api/notifications - alert channels, category and callsign routing (secrets redacted)
+    if (path === '/api/notifications' && method === 'GET') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const doc = await loadNotificationConfig(env);
+      const { channels, callsignRoutes } = await loadNotificationRouting(env);
+      return jsonResponse({
+        channels: channels.map(redactNotificationChannel),
+        callsignRoutes,
+        isDefault: !doc?.channels?.length,
+        updatedAt: doc?.updatedAt || null,
+        updatedBy: doc?.updatedBy || null,
+        categories: NOTIFY_CATEGORIES,
+        types: Object.keys(NOTIFIERS)
+      }, 200, env, request);
+    }
+
+    // PUT /api/notifications - replace the channel list ({ channels: [] } reverts to DISCORD_WEBHOOK_URL)
+    // and, if given, the callsign routes (omitted keeps the stored ones)
+    if (path === '/api/notifications' && method === 'PUT') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const body = await request.json().catch(() => null);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return jsonResponse({ error: 'Request body must be a JSON object' }, 400, env, request);
+      }
+      const existing = await loadNotificationConfig(env);
+      const result = parseNotificationChannels(body.channels, existing?.channels || []);
+      if (result.errors) {
+        return jsonResponse({ error: 'Invalid notification channels', details: result.errors }, 400, env, request);
+      }
+      const routes = parseCallsignRoutes(body.callsignRoutes ?? existing?.callsignRoutes ?? [], result.channels.map(c => c.id));
+      if (routes.errors) {
+        return jsonResponse({ error: 'Invalid callsign routes', details: routes.errors }, 400, env, request);
+      }
+      const doc = await saveNotificationConfig(env, result.channels, routes.callsignRoutes, auth.principal.sub);
+      await recordStaffAction(env, auth.principal, 'notifications.update', {
+        reason: getActionReason(url, body),
+        details: {
+          channels: doc.channels.map(c => `${c.id} (${c.type}): ${c.categories.join(', ')}`),
+          callsignRoutes: doc.callsignRoutes.map(r => `${r.name || [...r.prefixes.map(p => `${p}*`), ...r.suffixes.map(x => `*${x}`)].join(' ')} → ${r.channels.join(', ')}`)
+        }
+      });
+      return jsonResponse({
+        success: true,
+        channels: doc.channels.map(redactNotificationChannel),
+        callsignRoutes: doc.callsignRoutes
+      }, 200, env, request);
+    }
+
+    // POST /api/notifications/test - send a test message to one channel ({ channel: id })
+    if (path === '/api/notifications/test' && method === 'POST') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const body = await request.json().catch(() => ({}));
+      const channel = (await loadNotificationChannels(env)).find(c => c.id === body?.channel);
+      if (!channel) {
+        return jsonResponse({ error: 'Unknown notification channel' }, 404, env, request);
+      }
+      const result = await deliverNotification(env, channel, {
+        title: '\u{1f514} Test notification',
+        description: `Sent by ${auth.principal.name || auth.principal.sub} from the audit dashboard.`,
+        color: CURRENT_COLOR,
+        timestamp: new Date().toISOString(),
+        footer: `Routed here: ${channel.categories.join(', ')}`,
+        sections: []
+      }, channel.categories);
+      await recordStaffAction(env, auth.principal, 'notifications.test', {
+        details: { channel: channel.id, ok: result.ok, error: result.error || null }
+      });
+      return jsonResponse({ success: result.ok, ...result }, result.ok ? 200 : 502, env, request);
+    }
+
+    // GET /api/notices/me - the signed-in controller's currency reminder settings
+    if (path === '/api/notices/me' && method === 'GET') {
+      const auth = await requireRole(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      const cid = getPrincipalCid(auth.principal);
+      if (!cid) {
+        return jsonResponse({ error: 'Sign in with VATSIM to manage reminders' }, 403, env, request);
+      }
+      const [subscriptions, pending] = await Promise.all([loadNoticeSubscriptions(env), loadPendingNotices(env)]);
+      return jsonResponse({
+        cid,
+        subscription: subscriptions[cid] || null,
+        pending: describePendingNotice(pending[cid]),
+        methods: getNoticeMethods(env)
+      }, 200, env, request);
+    }
+
+    // PUT /api/notices/me - opt in or change how ({ method: 'discord', discordId } or { method: 'email', email });
+    // sends a code there, and nothing changes until it comes back through /api/notices/me/confirm
+    if (path === '/api/notices/me' && method === 'PUT') {
+      const auth = await requireRole(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      const cid = getPrincipalCid(auth.principal);
+      if (!cid) {
+        return jsonResponse({ error: 'Sign in with VATSIM to manage reminders' }, 403, env, request);
+      }
+      const body = await request.json().catch(() => ({}));
+      const parsed = parseNoticeSubscription(body, env);
+      if (parsed.errors) {
+        return jsonResponse({ error: 'Invalid reminder settings', details: parsed.errors }, 400, env, request);
+      }
+
+      const now = Date.now();
+      const pending = await loadPendingNotices(env);
+      const entry = pending[cid] || { request: null, sentAt: [] };
+      const recent = (entry.sentAt || []).filter(at => now - Date.parse(at) < DAY_MS);
+      if (recent.length >= NOTICE_CONFIRMATIONS_PER_DAY) {
+        logger.warn('Reminder confirmation rate limited', { cid });
+        return jsonResponse({ error: 'Too many confirmation messages today. Try again tomorrow.' }, 429, env, request);
+      }
+
+      const code = generateNoticeCode();
+      let changes;
+      try {
+        changes = await sendControllerNotice(env, parsed.subscription, {
+          title: '\u{1f514} Confirm VATPAC currency reminders',
+          description: `Your code is **${code}**. Enter it on the VATPAC audit dashboard within ${NOTICE_CODE_TTL_MINUTES} minutes `
+            + `to get reminders here when the visiting hours of CID ${cid} fall below the requirement or are about to lapse.`,
+          color: CURRENT_COLOR,
+          footer: 'If you did not ask for this, ignore it: nothing more is sent without the code.'
+        });
+      } catch (err) {
+        logger.warn('Reminder confirmation failed', { cid, method: parsed.subscription.method, error: err.message });
+        const hint = parsed.subscription.method === 'discord' ? ' Check the ID, and that you are in the VATPAC Discord and accept DMs from its members.' : '';
+        return jsonResponse({ error: `Could not send the confirmation.${hint}` }, 400, env, request);
+      }
+
+      // Counted once sent, so a mistyped ID that fails costs nothing
+      pending[cid] = {
+        request: {
+          ...parsed.subscription,
+          ...changes,
+          codeHash: await hashNoticeCode(cid, code),
+          expiresAt: new Date(now + NOTICE_CODE_TTL_MINUTES * 60000).toISOString(),
+          attempts: 0
+        },
+        sentAt: [...recent, new Date(now).toISOString()]
+      };
+      await savePendingNotices(env, pending, now);
+      return jsonResponse({ success: true, pending: describePendingNotice(pending[cid], now) }, 202, env, request);
+    }
+
+    // POST /api/notices/me/confirm - { code } from the confirmation message; turns the reminders on
+    if (path === '/api/notices/me/confirm' && method === 'POST') {
+      const auth = await requireRole(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      const cid = getPrincipalCid(auth.principal);
+      if (!cid) {
+        return jsonResponse({ error: 'Sign in with VATSIM to manage reminders' }, 403, env, request);
+      }
+      const body = await request.json().catch(() => ({}));
+      const code = String(body?.code ?? '').trim();
+      const now = Date.now();
+      const pending = await loadPendingNotices(env);
+      const entry = pending[cid];
+      if (!describePendingNotice(entry, now)) {
+        return jsonResponse({ error: 'No confirmation is waiting, or the code has expired. Save again for a new one.' }, 400, env, request);
+      }
+
+      const { codeHash, attempts, expiresAt, ...confirmed } = entry.request;
+      if (!/^\d{6}$/.test(code) || !(await secretsMatch(await hashNoticeCode(cid, code), codeHash))) {
+        // A handful of guesses, then the code is gone
+        entry.request = attempts + 1 >= NOTICE_CODE_MAX_ATTEMPTS ? null : { ...entry.request, attempts: attempts + 1 };
+        await savePendingNotices(env, pending, now);
+        return jsonResponse({
+          error: entry.request ? 'That code is not right.' : 'Too many wrong codes. Save again for a new one.'
+        }, 400, env, request);
+      }
+
+      const subscriptions = await loadNoticeSubscriptions(env);
+      subscriptions[cid] = { ...confirmed, optedInAt: new Date(now).toISOString() };
+      await saveNoticeSubscriptions(env, subscriptions);
+      entry.request = null;
+      await savePendingNotices(env, pending, now);
+      return jsonResponse({ success: true, subscription: subscriptions[cid] }, 200, env, request);
+    }
+
+    // DELETE /api/notices/me - opt out
+    if (path === '/api/notices/me' && method === 'DELETE') {
+      const auth = await requireRole(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      const cid = getPrincipalCid(auth.principal);
+      if (!cid) {
+        return jsonResponse({ error: 'Sign in with VATSIM to manage reminders' }, 403, env, request);
+      }
+      const [subscriptions, pending] = await Promise.all([loadNoticeSubscriptions(env), loadPendingNotices(env)]);
+      if (subscriptions[cid]) {
+        delete subscriptions[cid];
+        await saveNoticeSubscriptions(env, subscriptions);
+      }
+      // Any code still out is void; the send count stays
+      if (pending[cid]?.request) {
+        pending[cid].request = null;
+        await savePendingNotices(env, pending);
+      }
+      return jsonResponse({ success: true }, 200, env, request);
+    }
+
+    // GET /api/notices - who has opted in and when they were last told (staff; no contact details)
+    if (path === '/api/notices' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const subscribers = Object.entries(await loadNoticeSubscriptions(env))
+        .map(([cid, s]) => ({ cid, method: s.method, optedInAt: s.optedInAt, lastNotice: s.lastNotice || null, lastError: s.lastError || null }))
+        .sort((a, b) => a.cid.localeCompare(b.cid, undefined, { numeric: true }));
+      return jsonResponse({ subscribers, methods: getNoticeMethods(env) }, 200, env, request);
+    }
+
+    // GET /api/auth/login - start VATSIM Connect sign-in (?redirect=dashboard URL)
+    if (path === '/api/auth/login' && method === 'GET') {
+      return await handleOAuthLogin(request, env);
+    }
+
+    // GET /api/auth/callback - VATSIM Connect redirect target; issues the session
+    if (path === '/api/auth/callback' && method === 'GET') {
+      return await handleOAuthCallback(request, env);
+    }
+
+    // GET/POST /api/auth/mock/authorize - local stand-in for VATSIM Connect
+    if (path === '/api/auth/mock/authorize' && isMockOAuth(env)) {
+      return await handleMockAuthorize(request, env);
+    }
+
+    // POST /api/auth/logout - clear the session cookie (the dashboard also drops its copy)
+    if (path === '/api/auth/logout' && method === 'POST') {
+      const response = jsonResponse({ success: true }, 200, env, request);
+      response.headers.append('Set-Cookie', sessionCookie(SESSION_COOKIE, '', 0));
+      return response;
+    }
+
+    // GET /api/auth/me - who the supplied credential belongs to
+    if (path === '/api/auth/me' && method === 'GET') {
+      const auth = await requireRole(request, env, 'viewer');
+      if (auth.response) return auth.response;
+      return jsonResponse(auth.principal, 200, env, request);
+    }
+
+    // GET /api/auth/keys - list issued API keys (never the tokens themselves)
+    if (path === '/api/auth/keys' && method === 'GET') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const keys = await loadApiKeys(env);
+      return jsonResponse({
+        keys: Object.entries(keys).map(([id, meta]) => ({ id, ...meta }))
+      }, 200, env, request);
+    }
+
+    // POST /api/auth/keys - issue an API key; the token is only returned here
+    if (path === '/api/auth/keys' && method === 'POST') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      if (!env.AUTH_SECRET || !env.hours) {
+        return jsonResponse({ error: 'AUTH_SECRET and KV binding are required to issue keys' }, 503, env, request);
+      }
+      const body = await request.json().catch(() => ({}));
+      const label = String(body.label || '').trim();
+      const role = String(body.role || '');
+      const days = body.expiresInDays == null ? API_KEY_MAX_DAYS : Number(body.expiresInDays);
+      if (!label || label.length > 64) {
+        return jsonResponse({ error: 'label is required (max 64 characters)' }, 400, env, request);
+      }
+      if (!(role in ROLE_LEVELS)) {
+        return jsonResponse({ error: `role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}` }, 400, env, request);
+      }
+      if (!Number.isInteger(days) || days < 1 || days > API_KEY_MAX_DAYS) {
+        return jsonResponse({ error: `expiresInDays must be a whole number between 1 and ${API_KEY_MAX_DAYS}` }, 400, env, request);
+      }
+      const id = crypto.randomUUID();
+      const now = Math.floor(Date.now() / 1000);
+      const exp = now + days * 86400;
+      const token = await signToken({ sub: label, role, kid: id, iat: now, exp }, env.AUTH_SECRET);
+      const keys = await loadApiKeys(env);
+      keys[id] = {
+        label,
+        role,
+        issuedAt: new Date(now * 1000).toISOString(),
+        issuedBy: auth.principal.sub,
+        expiresAt: new Date(exp * 1000).toISOString()
+      };
+      await saveApiKeys(env, keys);
+      await recordStaffAction(env, auth.principal, 'apikey.issue', {
+        reason: getActionReason(url, body),
+        details: { id, label, role, expiresAt: keys[id].expiresAt }
+      });
+      return jsonResponse({ success: true, id, token, ...keys[id] }, 201, env, request);
+    }
+
+    // DELETE /api/auth/keys/:id - revoke an API key
+    if (path.startsWith('/api/auth/keys/') && method === 'DELETE') {
+      const auth = await requireRole(request, env, 'admin');
+      if (auth.response) return auth.response;
+      const id = path.replace('/api/auth/keys/', '').trim();
+      const keys = await loadApiKeys(env);
+      if (!keys[id]) {
+        return jsonResponse({ error: 'API key not found' }, 404, env, request);
+      }
+      const revoked = keys[id];
+      delete keys[id];
+      await saveApiKeys(env, keys);
+      await recordStaffAction(env, auth.principal, 'apikey.revoke', {
+        reason: getActionReason(url),
+        details: { id, label: revoked.label, role: revoked.role }
+      });
+      return jsonResponse({ success: true, id }, 200, env, request);
+    }
+
+    // GET /api/audit-log - staff action trail (?actor=&cid=&action=&from=&to=&limit=&cursor=)
+    if (path === '/api/audit-log' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const q = url.searchParams;
+      const limit = q.has('limit') ? Number(q.get('limit')) : AUDIT_LOG_DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_LOG_MAX_LIMIT) {
+        return jsonResponse({ error: `limit must be between 1 and ${AUDIT_LOG_MAX_LIMIT}` }, 400, env, request);
+      }
+      const filters = {};
+      for (const field of ['actor', 'cid', 'action']) {
+        const value = (q.get(field) || '').trim();
+        if (value) filters[field] = value;
+      }
+      const { range, error } = parseDateRangeParams(q);
+      if (error) return jsonResponse({ error }, 400, env, request);
+      Object.assign(filters, range);
+      const result = await queryAuditLog(env, filters, { limit, cursor: q.get('cursor') });
+      return jsonResponse({ ...result, filters }, 200, env, request);
+    }
+
+    // GET /api/violations?cid=&type=&status=&from=&to=&limit=&cursor= - live-check incident history
+    if (path === '/api/violations' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const q = url.searchParams;
+      const limit = q.has('limit') ? Number(q.get('limit')) : AUDIT_LOG_DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_LOG_MAX_LIMIT) {
+        return jsonResponse({ error: `limit must be between 1 and ${AUDIT_LOG_MAX_LIMIT}` }, 400, env, request);
+      }
+      const filters = {};
+      const cid = (q.get('cid') || '').trim();
+      if (cid) filters.cid = cid;
+      const type = q.get('type');
+      if (type) {
+        if (!VIOLATION_TYPES.includes(type)) {
+          return jsonResponse({ error: `type must be one of: ${VIOLATION_TYPES.join(', ')}` }, 400, env, request);
+        }
+        filters.type = type;
+      }
+      const status = q.get('status');
+      if (status) {
+        if (!VIOLATION_STATUSES.includes(status)) {
+          return jsonResponse({ error: `status must be one of: ${VIOLATION_STATUSES.join(', ')}` }, 400, env, request);
+        }
+        filters.status = status;
+      }
+      const { range, error } = parseDateRangeParams(q);
+      if (error) return jsonResponse({ error }, 400, env, request);
+      Object.assign(filters, range);
+      const result = await queryViolations(env, filters, { limit, cursor: q.get('cursor') });
+      return jsonResponse({ ...result, filters }, 200, env, request);
+    }
+
+    // POST /api/violations/:id/acknowledge|resolve - move an open incident on ({ note? })
+    // Acknowledged incidents stop pinging Discord; resolved ones are archived once they clear.
+    const violationActionMatch = path.match(/^\/api\/violations\/([\w-]+)\/(acknowledge|resolve)$/);
+    if (violationActionMatch && method === 'POST') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      let body = {};
+      try {
+        body = await request.json();
+      } catch { /* note is optional */ }
+      const note = String(body?.note || '').trim().slice(0, VIOLATION_NOTE_MAX) || null;
+      const [, id, verb] = violationActionMatch;
+      const status = verb === 'acknowledge' ? 'acknowledged' : 'resolved';
+      const result = await updateViolationStatus(env, id, status, auth.principal, note);
+      if (result.error) return jsonResponse({ error: result.error }, result.status, env, request);
+      await recordStaffAction(env, auth.principal, `violation.${verb}`, {
+        cid: result.incident.cid,
+        reason: note,
+        details: { id, type: result.incident.type, callsign: result.incident.callsign }
+      });
+      return jsonResponse({ success: true, incident: result.incident }, 200, env, request);
+    }
+
+    // POST /api/discord/interactions - Discord buttons and slash commands (signature-verified, no bearer token)
+    if (path === '/api/discord/interactions' && method === 'POST') {
+      return handleDiscordInteraction(request, env, ctx);
+    }
+
+    // GET /api/loa - leave of absence registry (?cid=, ?status=active|upcoming|past)
+    if (path === '/api/loa' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const cidFilter = url.searchParams.get('cid');
+      const statusFilter = url.searchParams.get('status');
+      const now = Date.now();
+      const loas = Object.entries(await loadLoas(env))
+        .map(([id, loa]) => ({ id, ...loa, status: getLoaStatus(loa, now) }))
+        .filter(loa => (!cidFilter || loa.cid === cidFilter) && (!statusFilter || loa.status === statusFilter))
+        .sort((a, b) => a.start.localeCompare(b.start));
+      return jsonResponse({ loas }, 200, env, request);
+    }
+
+    // POST /api/loa - record a leave of absence ({ cid, start, end, note? })
+    if (path === '/api/loa' && method === 'POST') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const body = await request.json().catch(() => ({}));
+      const parsed = parseLoaInput(body);
+      if (parsed.errors) {
+        return jsonResponse({ error: 'Invalid LOA', details: parsed.errors }, 400, env, request);
+      }
+      const loas = await loadLoas(env);
+      const id = crypto.randomUUID();
+      loas[id] = { ...parsed.loa, addedAt: new Date().toISOString(), addedBy: auth.principal.sub };
+      await saveLoas(env, loas);
+      await recordStaffAction(env, auth.principal, 'loa.add', {
+        cid: parsed.loa.cid,
+        reason: parsed.loa.note,
+        details: { id, start: parsed.loa.start, end: parsed.loa.end }
+      });
+      return jsonResponse({ success: true, loa: { id, ...loas[id], status: getLoaStatus(loas[id]) } }, 201, env, request);
+    }
+
+    // PUT /api/loa/:id - change an LOA's dates or note
+    if (path.startsWith('/api/loa/') && method === 'PUT') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const id = path.replace('/api/loa/', '').trim();
+      const loas = await loadLoas(env);
+      if (!loas[id]) {
+        return jsonResponse({ error: 'LOA not found' }, 404, env, request);
+      }
+      const body = await request.json().catch(() => ({}));
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return jsonResponse({ error: 'Request body must be a JSON object' }, 400, env, request);
+      }
+      const { cid: _cid, ...changes } = body;
+      const parsed = parseLoaInput(changes, loas[id]);
+      if (parsed.errors) {
+        return jsonResponse({ error: 'Invalid LOA', details: parsed.errors }, 400, env, request);
+      }
+      const before = loas[id];
+      loas[id] = { ...before, ...parsed.loa, updatedAt: new Date().toISOString(), updatedBy: auth.principal.sub };
+      await saveLoas(env, loas);
+      await recordStaffAction(env, auth.principal, 'loa.update', {
+        cid: before.cid,
+        reason: getActionReason(url),
+        details: { id, start: loas[id].start, end: loas[id].end, previous: { start: before.start, end: before.end } }
+      });
+      return jsonResponse({ success: true, loa: { id, ...loas[id], status: getLoaStatus(loas[id]) } }, 200, env, request);
+    }
+
+    // DELETE /api/loa/:id - remove an LOA
+    if (path.startsWith('/api/loa/') && method === 'DELETE') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const id = path.replace('/api/loa/', '').trim();
+      const loas = await loadLoas(env);
+      if (!loas[id]) {
+        return jsonResponse({ error: 'LOA not found' }, 404, env, request);
+      }
+      const removed = loas[id];
+      delete loas[id];
+      await saveLoas(env, loas);
+      await recordStaffAction(env, auth.principal, 'loa.remove', {
+        cid: removed.cid,
+        reason: getActionReason(url),
+        details: { id, start: removed.start, end: removed.end }
+      });
+      return jsonResponse({ success: true, id }, 200, env, request);
+    }
+
+    // GET /api/exclusions - list exclusions with their reason, scope and expiry (staff; notes can be personal)
+    if (path === '/api/exclusions' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const exclusions = await loadExclusions(env);
+      const now = Date.now();
+      return jsonResponse({
+        exclusions: Object.entries(exclusions).map(([cid, meta]) => ({ cid, ...meta, active: isExclusionActive(meta, now) })),
+        reasons: EXCLUSION_REASONS,
+        scopes: EXCLUSION_SCOPES
+      }, 200, env, request);
+    }
+
+    // POST /api/exclusions - add or replace a CID's exclusion ({ cid, reason, note?, expiresAt?, scope? })
+    if (path === '/api/exclusions' && method === 'POST') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const body = await request.json().catch(() => ({}));
+      const cid = String(body.cid || '').trim();
+      if (!/^\d{3,10}$/.test(cid)) {
+        return jsonResponse({ error: 'Invalid CID' }, 400, env, request);
+      }
+      const parsed = parseExclusionInput(body);
+      if (parsed.errors) {
+        return jsonResponse({ error: 'Invalid exclusion', details: parsed.errors }, 400, env, request);
+      }
+      const exclusion = await storeExclusion(env, auth.principal, cid, parsed.exclusion);
+      return jsonResponse({ success: true, cid, exclusion }, 200, env, request);
+    }
+
+    // GET /api/exclusions.csv - download exclusions for editing in a spreadsheet
+    if (path === '/api/exclusions.csv' && method === 'GET') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const exclusions = await loadExclusions(env);
+      return csvResponse(exclusionsToCsv(exclusions), `exclusions-${new Date().toISOString().slice(0, 10)}.csv`, env, request);
+    }
+
+    // POST /api/exclusions/import - apply a CSV of exclusions; all rows or none.
+    // ?mode=replace drops existing exclusions that are not in the file.
+    if (path === '/api/exclusions/import' && method === 'POST') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const mode = url.searchParams.get('mode') || 'merge';
+      if (!['merge', 'replace'].includes(mode)) {
+        return jsonResponse({ error: 'mode must be merge or replace' }, 400, env, request);
+      }
+      const { rows, errors } = parseExclusionCsv(await request.text());
+      if (errors.length) {
+        return jsonResponse({ error: 'Import rejected — no changes applied', errors }, 400, env, request);
+      }
+
+      const exclusions = await loadExclusions(env);
+      const previous = { ...exclusions };
+      const addedAt = new Date().toISOString();
+      const next = mode === 'replace' ? {} : exclusions;
+      for (const { cid, exclusion } of rows) {
+        next[cid] = { ...exclusion, addedAt, addedBy: auth.principal.sub };
+      }
+      const removed = mode === 'replace' ? Object.keys(previous).filter(cid => !(cid in next)) : [];
+      try {
+        await saveExclusions(env, next);
+      } catch (e) {
+        return jsonResponse({ error: 'Import could not be saved — no changes applied', message: e.message }, 500, env, request);
+      }
+
+      // One log entry for the whole file, listing the CIDs it touched
+      const added = rows.filter(r => !previous[r.cid]).map(r => r.cid);
+      const updated = rows.filter(r => previous[r.cid]).map(r => r.cid);
+      await recordStaffAction(env, auth.principal, 'exclusion.import', {
+        reason: getActionReason(url),
+        details: { mode, added, updated, removed }
+      });
+
+      return jsonResponse({
+        success: true,
+        mode,
+        added: added.length,
+        updated: updated.length,
+        removed: removed.length
+      }, 200, env, request);
+    }
+
+    // DELETE /api/exclusions/:cid - lift a CID's exclusion
+    if (path.startsWith('/api/exclusions/') && method === 'DELETE') {
+      const auth = await requireRole(request, env, 'staff');
+      if (auth.response) return auth.response;
+      const cid = path.replace('/api/exclusions/', '').trim();
+      const exclusions = await loadExclusions(env);
+      if (!(cid in exclusions)) {
+        return jsonResponse({ error: 'CID not excluded' }, 404, env, request);
+      }
+      delete exclusions[cid];
+      await saveExclusions(env, exclusions);
+      await recordStaffAction(env, auth.principal, 'exclusion.remove', { cid, reason: getActionReason(url) });
+      return jsonResponse({ success: true, cid }, 200, env, request);
+    }
+
+    // DEBUG: Check TMS data
+    if (path === '/api/debug/tms' && method === 'GET') {
+      const visitingCids = await getTMSList('visiting', env);
+      const localCids = await getTMSList('local', env);
+      return jsonResponse({
+        visiting: {
+          count: visitingCids.length,
+          sample: visitingCids.slice(0, 10)
+        },
+        local: {
+          count: localCids.length,
+          sample: localCids.slice(0, 10)
+        }
+      }, 200, env, request);
     }
 
     // DEBUG: Check StatSim sessions data from KV
@@ -472,35 +2453,177 @@ async function handleAPI(request, env) {
       }, 200, env, request);
     }
 
-    // DEBUG: Test hours lookup for a specific CID
+    // GET /api/controller/:cid - combined currency profile for one controller
+    if (path.startsWith('/api/controller/') && method === 'GET') {
+      const cid = path.replace('/api/controller/', '').trim();
+      if (!/^\d{3,10}$/.test(cid)) {
+        return jsonResponse({ error: 'Invalid CID' }, 400, env, request);
+      }
+
+      const [statSimData, store, exclusions, allLoas] = await Promise.all([
+        loadStatSimSessions(env),
+        loadStore(env),
+        loadExclusions(env),
+        loadLoas(env)
+      ]);
+      const loas = groupLoasByCid(allLoas).get(cid) || [];
+      // The profile is public; staff notes, who wrote them and leave dates are not
+      const principal = await authenticate(request, env);
+      const isStaff = !!principal && ROLE_LEVELS[principal.role] >= ROLE_LEVELS.staff;
+
+      // TMS being down should not take the rest of the profile with it
+      let tmsUser = null;
+      let tmsError = null;
+      try {
+        tmsUser = await getTMSUser(cid, env);
+      } catch (e) {
+        tmsError = e.message;
+      }
+
+      let vatsimCache = {};
+      try {
+        vatsimCache = await env.hours.get(VATSIM_CACHE_KEY, { type: 'json' }) || {};
+      } catch { /* enrichment is optional */ }
+
+      const rating = tmsUser?.rating?.short || null;
+      const visiting = statSimData ? evaluateCurrency(cid, statSimData, false, { rating, loas }) : null;
+      const local = statSimData ? evaluateCurrency(cid, statSimData, true, { loas }) : null;
+      const visiting3mo = visiting?.data || null;
+      const local12mo = local?.data || null;
+
+      const sessionCutoff = new Date();
+      sessionCutoff.setMonth(sessionCutoff.getMonth() - 12);
+      const sessions = (statSimData?.cidMap?.get(cid) || [])
+        .map(s => {
+          const startMs = Date.parse(s.loggedOn || s.start);
+          const endMs = Date.parse(s.loggedOff || s.end);
+          return {
+            callsign: s.callsign || null,
+            start: isFinite(startMs) ? new Date(startMs).toISOString() : null,
+            end: isFinite(endMs) ? new Date(endMs).toISOString() : null,
+            hours: isFinite(startMs) && isFinite(endMs) && endMs > startMs
+              ? Math.round((endMs - startMs) / 36000) / 100
+              : 0
+          };
+        })
+        .filter(s => s.start && Date.parse(s.start) >= sessionCutoff.getTime())
+        .sort((a, b) => b.start.localeCompare(a.start));
+
+      // Positions controlled over the same 12 months, most hours first
+      const byCallsign = new Map();
+      for (const s of sessions) {
+        if (!s.callsign) continue;
+        const entry = byCallsign.get(s.callsign)
+          || { callsign: s.callsign, positionClass: getPositionClass(s.callsign), hours: 0, sessionCount: 0, lastSession: s.start };
+        entry.hours += s.hours;
+        entry.sessionCount++;
+        byCallsign.set(s.callsign, entry);
+      }
+      const positions = [...byCallsign.values()]
+        .map(p => ({ ...p, hours: Math.round(p.hours * 100) / 100 }))
+        .sort((a, b) => b.hours - a.hours);
+
+      const auditRecord = [...(store.visiting || []), ...(store.local || [])]
+        .find(r => r.id === `audit_${cid}`) || null;
+      const endorsementsByCid = new Map([[cid, tmsUser?.endorsements || []]]);
+
+      return jsonResponse({
+        cid,
+        tms: tmsUser ? {
+          rating: tmsUser.rating?.short || 'N/A',
+          division: String(tmsUser.division?.id || '').toUpperCase() || null,
+          scope: tmsIsLocal(tmsUser) ? 'local' : (tmsIsVisiting(tmsUser) ? 'visiting' : null),
+          endorsements: (tmsUser.endorsements || []).map(e => ({
+            sku: e.sku,
+            label: ENDORSEMENT_LABELS[e.sku] || e.sku,
+            status: Number(e.status) === ACTIVE_ENDORSEMENT_STATUS ? 'active'
+              : Number(e.status) === SOLO_ENDORSEMENT_STATUS ? 'solo' : String(e.status),
+            expires: e.expires || null,
+            soloExpires: getSoloExpiry(endorsementsByCid, cid, e.sku)
+          }))
+        } : null,
+        onRoster: tmsError ? null : !!tmsUser,
+        tmsError,
+        statSimAvailable: !!statSimData,
+        currency: {
+          visiting: {
+            lookback: `${POLICY.monthsLookback} months`,
+            required: `${Math.round(POLICY.visitingHoursRequired * (visiting?.adjustment.factor ?? 1) * 10) / 10} hours`,
+            loaDays: visiting?.adjustment.loaDays || 0,
+            hours: Math.round((visiting3mo?.hours || 0) * 100) / 100,
+            sessionCount: visiting3mo?.sessionCount || 0,
+            hoursByClass: roundHoursByClass(visiting3mo?.hoursByClass),
+            classShortfalls: getClassShortfalls(visiting3mo?.hoursByClass, rating, visiting?.adjustment.factor ?? 1),
+            passed: !!visiting?.passed,
+            currentUntil: visiting?.passed
+              ? projectCurrencyLapse(cid, statSimData, false, { rating, loas })
+              : null
+          },
+          local: {
+            lookback: `${POLICY.localMonthsRequired} months`
+              + (local?.adjustment.extraDays ? ` + ${Math.ceil(local.adjustment.extraDays)} days LOA` : ''),
+            required: 'At least 1 session',
+            loaDays: local?.adjustment.loaDays || 0,
+            lastSessionWithinPeriod: local12mo?.lastSessionWithinPeriod || null,
+            passed: !!local?.passed,
+            currentUntil: local?.passed ? projectCurrencyLapse(cid, statSimData, true, { loas }) : null
+          }
+        },
+        // Everyone else only learns whether the controller is, or will be, on leave
+        loas: Object.entries(allLoas)
+          .filter(([, loa]) => loa.cid === cid)
+          .map(([id, loa]) => (isStaff ? { id, ...loa, status: getLoaStatus(loa) } : { status: getLoaStatus(loa) }))
+          .filter(loa => isStaff || loa.status !== 'past'),
+        lastSession: local12mo?.lastSession || null,
+        monthlyHours: getMonthlyHoursFromStatSim(cid, statSimData, 12),
+        sessions,
+        positions,
+        audit: auditRecord,
+        vatsim: vatsimCache[cid] || null,
+        vatsimStatsUrl: vatsimStatsUrl(cid),
+        exclusion: exclusions[cid] ? describeProfileExclusion(cid, exclusions[cid], isStaff) : null
+      }, 200, env, request);
+    }
+
+    // DEBUG: Test hours lookup for a specific CID, through the same evaluation the audit runs
     if (path.startsWith('/api/debug/hours/') && method === 'GET') {
       const cid = path.replace('/api/debug/hours/', '');
-      const statSimData = await loadStatSimSessions(env);
-      const visiting3mo = statSimData ? getHoursFromStatSim(cid, statSimData, 3) : null;
-      const local12mo = statSimData ? getHoursFromStatSim(cid, statSimData, 12) : null;
-      
-      // Check requirements (must match runAudit logic exactly)
-      const visitingPassed = visiting3mo ? visiting3mo.hours >= VISITING_HOURS_REQUIRED : false;
-      const localPassed = local12mo ? local12mo.lastSessionWithinPeriod !== null : false;
-      
+      const [statSimData, allLoas] = await Promise.all([loadStatSimSessions(env), loadLoas(env)]);
+      const loas = groupLoasByCid(allLoas).get(cid) || [];
+      // Class requirements depend on the TMS rating; without it only the hours total applies
+      let rating = null;
+      try {
+        rating = (await getTMSUser(cid, env))?.rating?.short || null;
+      } catch { /* debug output is still useful without it */ }
+
+      const visiting = statSimData ? evaluateCurrency(cid, statSimData, false, { rating, loas }) : null;
+      const local = statSimData ? evaluateCurrency(cid, statSimData, true, { loas }) : null;
+
       return jsonResponse({
         cid,
+        rating,
         statSimAvailable: !!statSimData,
         visiting: {
-          lookback: '3 months',
-          required: `${VISITING_HOURS_REQUIRED} hours`,
-          hours: visiting3mo?.hours ? Math.round(visiting3mo.hours * 100) / 100 : 0,
-          sessionCount: visiting3mo?.sessionCount || 0,
-          lastSession: visiting3mo?.lastSession || null,
-          passed: visitingPassed
+          lookback: `${POLICY.monthsLookback} months`,
+          required: `${Math.round(POLICY.visitingHoursRequired * (visiting?.adjustment.factor ?? 1) * 10) / 10} hours`,
+          loaDays: visiting?.adjustment.loaDays || 0,
+          hours: Math.round((visiting?.data?.hours || 0) * 100) / 100,
+          sessionCount: visiting?.data?.sessionCount || 0,
+          lastSession: visiting?.data?.lastSession || null,
+          classShortfalls: getClassShortfalls(visiting?.data?.hoursByClass, rating, visiting?.adjustment.factor ?? 1),
+          passed: !!visiting?.passed,
+          currentUntil: visiting?.passed ? projectCurrencyLapse(cid, statSimData, false, { rating, loas }) : null
         },
         local: {
-          lookback: '12 months',
+          lookback: `${POLICY.localMonthsRequired} months`
+            + (local?.adjustment.extraDays ? ` + ${Math.ceil(local.adjustment.extraDays)} days LOA` : ''),
           required: 'At least 1 session',
-          hours: local12mo?.hours ? Math.round(local12mo.hours * 100) / 100 : 0,
-          sessionCount: local12mo?.sessionCount || 0,
-          lastSession: local12mo?.lastSession || null,
-          passed: localPassed
+          loaDays: local?.adjustment.loaDays || 0,
+          hours: Math.round((local?.data?.hours || 0) * 100) / 100,
+          sessionCount: local?.data?.sessionCount || 0,
+          lastSession: local?.data?.lastSession || null,
+          passed: !!local?.passed,
+          currentUntil: local?.passed ? projectCurrencyLapse(cid, statSimData, true, { loas }) : null
         }
       }, 200, env, request);
     }
@@ -540,12 +2663,9 @@ function tmsIsLocal(u) {
   return divisionId === "PAC" || localFlag || /local/.test(typeStr);
 }
 
-// Divisions excluded from visiting controller checks
-const EXCLUDED_VISITING_DIVISIONS = new Set(["NZ"]);
-
 function tmsIsVisiting(u) {
   const divisionId = String(u?.division?.id || "").toUpperCase();
-  if (EXCLUDED_VISITING_DIVISIONS.has(divisionId)) return false;
+  if (POLICY.excludedVisitingDivisions.has(divisionId)) return false;
   const typeStr = String(u?.type || "").toLowerCase();
   const visitingFlag = u?.local === false || u?.is_local === false || u?.is_visiting === true;
   return divisionId !== "PAC" || visitingFlag || /visit/.test(typeStr);
@@ -732,9 +2852,18 @@ async function getTMSEndorsementsByCid(env = null) {
   return map;
 }
 
+// Raw TMS user record for a single CID, or null if they are not on the roster.
+async function getTMSUser(cid, env = null) {
+  await ensureTMSCache(env);
+  return TMS_CACHE.users.find(u => String(u.cid) === String(cid)) || null;
+}
+
 // VATPAC callsigns - auto-synced from vatSys datasets
 // To update, run: node scripts/sync-positions.js
-import { VATPAC_CALLSIGNS as SYNCED_CALLSIGNS } from './positions.js';
+import {
+  VATPAC_CALLSIGNS as SYNCED_CALLSIGNS,
+  APPROACH as SYNCED_APPROACH
+} from './positions.js';
 
 // Fallback hardcoded callsigns in case positions.js import fails
 const FALLBACK_CALLSIGNS = new Set([
@@ -784,6 +2913,27 @@ const FALLBACK_CALLSIGNS = new Set([
 // Use synced callsigns if available, otherwise fall back to hardcoded
 const VATPAC_CALLSIGNS = (SYNCED_CALLSIGNS && SYNCED_CALLSIGNS.size > 0) ? SYNCED_CALLSIGNS : FALLBACK_CALLSIGNS;
 
+// Position classes that per-class currency minimums can be set on. The group
+// names mirror the AERODROME / APPROACH / ENROUTE groupings in positions.js and
+// sum the hours of their member classes.
+const POSITION_CLASSES = ['DEL', 'GND', 'TWR', 'APP', 'CTR', 'FSS', 'FMP'];
+const POSITION_CLASS_GROUPS = {
+  AERODROME: ['DEL', 'GND', 'TWR'],
+  APPROACH: ['APP'],
+  ENROUTE: ['CTR', 'FSS']
+};
+
+const APPROACH_POSITIONS = new Set(SYNCED_APPROACH || []);
+
+// Class of a callsign: DEP (and anything on the synced approach list) rolls up
+// into APP, everything else is its suffix.
+function getPositionClass(callsign) {
+  const cs = String(callsign || '').toUpperCase();
+  if (APPROACH_POSITIONS.has(cs) || isApproachPosition(cs)) return 'APP';
+  const suffix = cs.slice(cs.lastIndexOf('_') + 1);
+  return POSITION_CLASSES.includes(suffix) ? suffix : null;
+}
+
 // Load StatSim sessions from the shared KV binding (sessions -> statsim:sessions)
 // Builds both a callsign map and a CID-indexed map for O(1) lookups
 async function loadStatSimSessions(env) {
@@ -862,28 +3012,33 @@ async function loadStatSimSessions(env) {
 // Get hours and last session for a CID from StatSim data
 // Uses CID-indexed map for O(1) lookup instead of scanning all sessions
 // StatSim session format: { id, callsign, vatsimid, loggedOn, loggedOff }
-function getHoursFromStatSim(cid, statSimData, monthsBack = 3) {
+// `asOf` moves the end of the window; a future date projects what the window will
+// hold then, assuming no further sessions are logged.
+// `extraDays` pushes the start of the window further back (used for LOA extensions).
+function getHoursFromStatSim(cid, statSimData, monthsBack = 3, asOf = Date.now(), extraDays = 0) {
   const cidStr = String(cid).trim();
   if (!statSimData?.cidMap) {
     // Fallback to legacy sessionsMap scan if cidMap not available
     if (!statSimData?.sessionsMap) return null;
-    return _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack);
+    return _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack, asOf, extraDays);
   }
 
-  const cutoffDate = new Date();
+  const cutoffDate = new Date(asOf);
   cutoffDate.setMonth(cutoffDate.getMonth() - monthsBack);
-  const cutoff = cutoffDate.getTime();
+  const cutoff = cutoffDate.getTime() - extraDays * DAY_MS;
 
   let totalMinutes = 0;
   let lastSessionStart = null;
   let absoluteLastSession = null;
   let sessionCount = 0;
+  const minutesByClass = {};
 
   // O(1) lookup by CID — only iterate this controller's sessions
   const sessions = statSimData.cidMap.get(cidStr);
   if (!sessions || sessions.length === 0) {
     return {
       hours: 0,
+      hoursByClass: {},
       lastSession: null,
       lastSessionWithinPeriod: null,
       sessionCount: 0
@@ -907,6 +3062,11 @@ function getHoursFromStatSim(cid, statSimData, monthsBack = 3) {
         const durationMinutes = (endMs - startMs) / 1000 / 60;
         totalMinutes += durationMinutes;
         sessionCount++;
+
+        const positionClass = getPositionClass(session.callsign);
+        if (positionClass) {
+          minutesByClass[positionClass] = (minutesByClass[positionClass] || 0) + durationMinutes;
+        }
       }
 
       if (!lastSessionStart || startMs > lastSessionStart) {
@@ -917,24 +3077,50 @@ function getHoursFromStatSim(cid, statSimData, monthsBack = 3) {
 
   return {
     hours: totalMinutes / 60,
+    hoursByClass: minutesToHoursByClass(minutesByClass),
     lastSession: absoluteLastSession ? new Date(absoluteLastSession).toISOString() : null,
     lastSessionWithinPeriod: lastSessionStart ? new Date(lastSessionStart).toISOString() : null,
     sessionCount
   };
 }
 
+// Month-by-month hours for a CID over the last `months` calendar months (UTC),
+// oldest first. Sessions are attributed to the month they started in.
+function getMonthlyHoursFromStatSim(cid, statSimData, months = 12) {
+  const now = new Date();
+  const buckets = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    buckets.push({ month: d.toISOString().slice(0, 7), hours: 0, sessionCount: 0 });
+  }
+  const byMonth = new Map(buckets.map(b => [b.month, b]));
+
+  for (const session of statSimData?.cidMap?.get(String(cid).trim()) || []) {
+    const startMs = Date.parse(session.loggedOn || session.start);
+    const endMs = Date.parse(session.loggedOff || session.end);
+    if (!isFinite(startMs) || !isFinite(endMs) || endMs <= startMs) continue;
+    const bucket = byMonth.get(new Date(startMs).toISOString().slice(0, 7));
+    if (!bucket) continue;
+    bucket.hours += (endMs - startMs) / 1000 / 3600;
+    bucket.sessionCount++;
+  }
+
+  return buckets.map(b => ({ ...b, hours: Math.round(b.hours * 100) / 100 }));
+}
+
 // Legacy fallback: scan all callsigns×sessions (only used if cidMap unavailable)
-function _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack) {
-  const cutoffDate = new Date();
+function _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack, asOf = Date.now(), extraDays = 0) {
+  const cutoffDate = new Date(asOf);
   cutoffDate.setMonth(cutoffDate.getMonth() - monthsBack);
-  const cutoff = cutoffDate.getTime();
+  const cutoff = cutoffDate.getTime() - extraDays * DAY_MS;
 
   let totalMinutes = 0;
   let lastSessionStart = null;
   let absoluteLastSession = null;
   let sessionCount = 0;
+  const minutesByClass = {};
 
-  for (const [, sessions] of statSimData.sessionsMap) {
+  for (const [callsign, sessions] of statSimData.sessionsMap) {
     if (!Array.isArray(sessions)) continue;
     for (const session of sessions) {
       const sessionCid = String(session.vatsimid || session.cid || '').trim();
@@ -952,6 +3138,11 @@ function _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack) {
         if (endMs && isFinite(endMs) && endMs > startMs) {
           totalMinutes += (endMs - startMs) / 1000 / 60;
           sessionCount++;
+
+          const positionClass = getPositionClass(session.callsign || callsign);
+          if (positionClass) {
+            minutesByClass[positionClass] = (minutesByClass[positionClass] || 0) + (endMs - startMs) / 1000 / 60;
+          }
         }
         if (!lastSessionStart || startMs > lastSessionStart) {
           lastSessionStart = startMs;
@@ -962,12 +3153,108 @@ function _getHoursFromStatSimLegacy(cidStr, statSimData, monthsBack) {
 
   return {
     hours: totalMinutes / 60,
+    hoursByClass: minutesToHoursByClass(minutesByClass),
     lastSession: absoluteLastSession ? new Date(absoluteLastSession).toISOString() : null,
     lastSessionWithinPeriod: lastSessionStart ? new Date(lastSessionStart).toISOString() : null,
     sessionCount
   };
 }
 
+function minutesToHoursByClass(minutesByClass) {
+  const hoursByClass = {};
+  for (const [positionClass, minutes] of Object.entries(minutesByClass)) {
+    hoursByClass[positionClass] = minutes / 60;
+  }
+  return hoursByClass;
+}
+
+function roundHoursByClass(hoursByClass = {}) {
+  const rounded = {};
+  for (const [positionClass, hours] of Object.entries(hoursByClass)) {
+    rounded[positionClass] = Math.round(hours * 10) / 10;
+  }
+  return rounded;
+}
+
+// Per-class minimums from the policy that a visitor of this rating does not meet.
+// Rules under '*' apply to every rating; a rating's own rules override them.
+// `factor` scales the minimums down for time spent on leave.
+function getClassShortfalls(hoursByClass, rating, factor = 1) {
+  const minimums = POLICY.visitingClassMinimums || {};
+  const rules = { ...(minimums['*'] || {}), ...(minimums[rating] || {}) };
+  const shortfalls = [];
+  for (const [positionClass, minimum] of Object.entries(rules)) {
+    const required = Math.round(minimum * factor * 10) / 10;
+    const members = POSITION_CLASS_GROUPS[positionClass] || [positionClass];
+    const logged = members.reduce((sum, c) => sum + (hoursByClass?.[c] || 0), 0);
+    if (logged < required) {
+      shortfalls.push({ positionClass, required, logged: Math.round(logged * 10) / 10 });
+    }
+  }
+  return shortfalls;
+}
+
+// Local: any session in the window. Visiting: enough hours in the window, plus
+// any per-class minimums the policy sets for their rating, both scaled by `factor`.
+function meetsCurrencyRequirement(data, isLocal, rating = null, factor = 1) {
+  if (isLocal) return (data?.lastSessionWithinPeriod ?? null) !== null;
+  return (data?.hours || 0) >= POLICY.visitingHoursRequired * factor
+    && getClassShortfalls(data?.hoursByClass, rating, factor).length === 0;
+}
+
+// Currency as of `asOf`, with any leave of absence applied: visitors' requirement
+// shrinks by the share of the window spent on leave, and locals' window is extended
+// by the days spent on leave.
+function evaluateCurrency(cid, statSimData, isLocal, { rating = null, asOf = Date.now(), loas = [] } = {}) {
+  const adjustment = getLoaAdjustment(loas, isLocal, asOf);
+  const monthsBack = isLocal ? POLICY.localMonthsRequired : POLICY.monthsLookback;
+  const data = getHoursFromStatSim(cid, statSimData, monthsBack, asOf, adjustment.extraDays);
+  return { data, adjustment, passed: meetsCurrencyRequirement(data, isLocal, rating, adjustment.factor) };
+}
+
+// First day within `withinDays` on which a currently-passing controller stops
+// meeting the requirement as old sessions age out of the window, assuming they
+// log nothing further. Null if they stay current for the whole period.
+function projectCurrencyLapse(cid, statSimData, isLocal, { rating = null, withinDays = POLICY.atRiskWindowDays, now = Date.now(), loas = [] } = {}) {
+  for (let day = 1; day <= withinDays; day++) {
+    const asOf = now + day * DAY_MS;
+    if (!evaluateCurrency(cid, statSimData, isLocal, { rating, asOf, loas }).passed) {
+      return new Date(asOf).toISOString();
+    }
+  }
+  return null;
+}
+
+// Fewest hours that clear every class shortfall. An hour counts once however many
+// rules it meets: hours on a class inside a group also count toward the group, so
+// a group needs the larger of its own deficit and its classes' deficits combined.
+function getClassHoursNeeded(shortfalls) {
+  const deficits = new Map(shortfalls.map(s => [s.positionClass, s.required - s.logged]));
+  let needed = 0;
+  for (const [group, members] of Object.entries(POSITION_CLASS_GROUPS)) {
+    let inner = 0;
+    for (const c of members) {
+      inner += deficits.get(c) || 0;
+      deficits.delete(c);
+    }
+    needed += Math.max(deficits.get(group) || 0, inner);
+    deficits.delete(group);
+  }
+  for (const deficit of deficits.values()) needed += deficit;
+  return needed;
+}
+
+// Hours a visiting controller must log before `deadline` to meet the requirement on
+// that date. Sessions that will have aged out of the window by then don't count.
+// Class hours also count toward the total, so the larger of the two deficits wins.
+function projectHoursNeeded(cid, statSimData, deadline, rating = null, loas = []) {
+  const { factor } = getLoaAdjustment(loas, false, deadline);
+  const retained = getHoursFromStatSim(cid, statSimData, POLICY.monthsLookback, deadline);
+  const totalDeficit = POLICY.visitingHoursRequired * factor - (retained?.hours || 0);
+  const classDeficit = getClassHoursNeeded(getClassShortfalls(retained?.hoursByClass, rating, factor));
+  return Math.max(0, Math.ceil(Math.max(totalDeficit, classDeficit) * 10) / 10);
+}
+
 // Get rating for a CID from VATSIM API
 async function getRating(cid) {
   const cidStr = String(cid).trim();
@@ -1089,7 +3376,7 @@ async function getATCHours(cid, monthsBack = 3, env = null) {
 }
 
 async function runAudit(env, store, type) {
-  logger.info('Starting audit', { type });
+  logger.info('Starting audit', { type, policyVersion: POLICY.version });
 
   const allCids = await getTMSList(type, env);
   logger.info('TMS list retrieved', { type, count: allCids.length });
@@ -1140,6 +3427,9 @@ async function runAudit(env, store, type) {
   });
 
   const results = [];
+  const loasByCid = groupLoasByCid(await loadLoas(env));
+  const exclusions = await loadExclusions(env);
+  const excludedCids = getExcludedCids(exclusions, isLocal ? 'local-audit' : 'visiting-audit');
 
   // Process all CIDs - no batching needed since we're just doing in-memory lookups
   for (const user of allCids) {
@@ -1159,28 +3449,53 @@ async function runAudit(env, store, type) {
       continue;
     }
 
-    // Get hours from StatSim KV data (synchronous in-memory lookup)
-    const data = statSimData
-      ? getHoursFromStatSim(user.cid, statSimData, isLocal ? LOCAL_MONTHS_REQUIRED : MONTHS_LOOKBACK)
-      : { hours: 0, lastSession: null, lastSessionWithinPeriod: null, sessionCount: 0 };
+    // Get hours from StatSim KV data (synchronous in-memory lookup), with any
+    // leave of absence pro-rating the requirement or extending the window
+    const loas = loasByCid.get(user.cid) || [];
+    const { data, adjustment, passed } = evaluateCurrency(user.cid, statSimData, isLocal, { rating: user.rating, loas });
 
     // Use lastSession from StatSim only (no VATSIM API fallback for performance)
     const lastSession = data?.lastSession || null;
-
-    // For local controllers: check if they have a session within the 12-month period
-    // For visiting controllers: check if they have >= required hours within the 3-month period
-    const passed = isLocal
-      ? data?.lastSessionWithinPeriod !== null
-      : (data?.hours || 0) >= VISITING_HOURS_REQUIRED;
+    const classShortfalls = isLocal ? [] : getClassShortfalls(data?.hoursByClass, user.rating, adjustment.factor);
+
+    // Passing controllers whose currency will lapse soon are "at-risk", not flagged
+    const currentUntil = passed ? projectCurrencyLapse(user.cid, statSimData, isLocal, { rating: user.rating, loas }) : null;
+
+    // Visitors who are flagged or at-risk get a concrete target: log this many hours
+    // before the lapse date (at-risk) or within the regain window (flagged).
+    let hoursNeeded = null;
+    let neededBy = null;
+    if (!isLocal && (!passed || currentUntil)) {
+      const deadline = currentUntil
+        ? Date.parse(currentUntil)
+        : Date.now() + POLICY.regainWindowDays * DAY_MS;
+      hoursNeeded = projectHoursNeeded(user.cid, statSimData, deadline, user.rating, loas);
+      neededBy = new Date(deadline).toISOString();
+    }
 
     results.push({
       id: `audit_${user.cid}`,
       type,
-      status: passed ? "completed" : "flagged",
+      status: !passed ? "flagged" : (currentUntil ? "at-risk" : "completed"),
       rating: user.rating,
       division: user.division,
       hoursLogged: Math.round((data?.hours || 0) * 10) / 10,
       lastSession: lastSession,
+      currentUntil,
+      hoursNeeded,
+      neededBy,
+      ...(isLocal ? {} : {
+        hoursByClass: roundHoursByClass(data?.hoursByClass),
+        classShortfalls
+      }),
+      ...(adjustment.loaDays > 0 ? {
+        loa: isLocal
+          ? { days: adjustment.loaDays, windowExtendedDays: adjustment.extraDays }
+          : { days: adjustment.loaDays, hoursRequired: Math.round(POLICY.visitingHoursRequired * adjustment.factor * 10) / 10 }
+      } : {}),
+      // Excluded controllers keep their real status; alerts, notices and digests skip them.
+      // The store is public, so it only says whether; staff read why from /api/exclusions.
+      ...(excludedCids.has(user.cid) ? { excluded: true } : {}),
       flagged: !passed
     });
   }
@@ -1188,24 +3503,115 @@ async function runAudit(env, store, type) {
   // Replace all data for this type
   store[dataKey] = results;
   store.lastRun = new Date().toISOString();
+  store.policyVersion = POLICY.version;
   
   await saveStore(env, store);
   
-  logger.info('Audit complete', { type, processed: results.length, flagged: results.filter(r => r.flagged).length });
-  logger.metric('audit_complete', 1, { type, processed: results.length, flagged: results.filter(r => r.flagged).length });
+  const flagged = results.filter(r => r.flagged && !r.excluded).length;
+  const atRisk = results.filter(r => r.status === 'at-risk' && !r.excluded).length;
+  const excluded = results.filter(r => r.excluded).length;
+  logger.info('Audit complete', { type, processed: results.length, flagged, atRisk, excluded });
+  logger.metric('audit_complete', 1, { type, processed: results.length, flagged, atRisk });
 
   return {
     processed: results.length,
     total: allCids.length,
-    flagged: results.filter(r => r.flagged).length,
-    passed: results.filter(r => !r.flagged).length
+    flagged,
+    passed: results.filter(r => !r.flagged).length,
+    atRisk,
+    excluded,
+    policyVersion: POLICY.version
   };
 }
 
+// True if a session on this callsign keeps the given endorsement current.
+// sydTcu is its own position list; everything else follows the live-check mapping.
+function callsignExercisesEndorsement(callsign, sku) {
+  const cs = String(callsign || '').toUpperCase();
+  if (sku === 'sydTcu') return POLICY.sydComplexPositions.has(cs);
+  return getRequiredEndorsementSku(cs) === sku;
+}
+
+// Flags local controllers who hold a full endorsement but have not controlled any
+// position it covers within the policy's window for that SKU.
+async function runEndorsementAudit(env, store) {
+  const windows = POLICY.endorsementCurrencyMonths || {};
+  const skus = Object.keys(windows);
+  logger.info('Starting endorsement audit', { skus });
+
+  const statSimData = await loadStatSimSessions(env);
+  if (!statSimData?.sessionsMap || statSimData.sessionsMap.size === 0) {
+    logger.error('StatSim data not available — skipping endorsement audit to prevent false flags');
+    return { processed: 0, flagged: 0, skipped: true, reason: 'StatSim data not available or empty' };
+  }
+
+  const locals = (await getTMSList('local', env))
+    .filter(u => !u.division || u.division === 'PAC');
+  const endorsementMap = await getTMSEndorsementMap(env);
+
+  // Last session start per CID on positions covering each SKU, from one pass
+  // over the StatSim callsign map.
+  const lastBySku = new Map(skus.map(sku => [sku, new Map()]));
+  for (const [callsign, sessions] of statSimData.sessionsMap) {
+    const covered = skus.filter(sku => callsignExercisesEndorsement(callsign, sku));
+    if (covered.length === 0 || !Array.isArray(sessions)) continue;
+    for (const session of sessions) {
+      const cid = String(session.vatsimid || session.cid || '').trim();
+      const startMs = Date.parse(session.loggedOn || session.start);
+      if (!cid || !isFinite(startMs)) continue;
+      for (const sku of covered) {
+        const last = lastBySku.get(sku);
+        if (!last.has(cid) || startMs > last.get(cid)) last.set(cid, startMs);
+      }
+    }
+  }
+
+  const excludedCids = getExcludedCids(await loadExclusions(env), 'local-audit');
+  const results = [];
+  let checked = 0;
+  for (const user of locals) {
+    if (excludedCids.has(user.cid)) continue;
+    const held = endorsementMap.get(user.cid) || new Set();
+    for (const sku of skus.filter(k => held.has(k))) {
+      checked++;
+      const cutoff = new Date();
+      cutoff.setMonth(cutoff.getMonth() - windows[sku]);
+      const lastMs = lastBySku.get(sku).get(user.cid) || null;
+      if (lastMs && lastMs >= cutoff.getTime()) continue;
+      results.push({
+        id: `audit_${user.cid}`,
+        type: 'endorsement',
+        status: 'flagged',
+        rating: user.rating,
+        sku,
+        endorsement: `${ENDORSEMENT_LABELS[sku] || sku} (${sku})`,
+        monthsRequired: windows[sku],
+        lastSession: lastMs ? new Date(lastMs).toISOString() : null,
+        flagged: true
+      });
+    }
+  }
+
+  store.endorsements = results;
+  await saveStore(env, store);
+
+  logger.info('Endorsement audit complete', { controllers: locals.length, checked, flagged: results.length });
+  logger.metric('endorsement_audit_complete', 1, { checked, flagged: results.length });
+  return { processed: locals.length, checked, flagged: results.length };
+}
+
 async function runDailyAudit(env) {
   logger.info('Starting daily audit');
 
   try {
+    // Lapse expired exclusions first so today's audit no longer honours them
+    let exclusionResult = { expired: [] };
+    try {
+      exclusionResult = await lapseExpiredExclusions(env);
+    } catch (e) {
+      logger.error('Lapsing expired exclusions failed (non-fatal)', e);
+    }
+
     // Run visiting audit
     let store = await loadStore(env);
     const visitingResult = await runAudit(env, store, "visiting");
@@ -1224,6 +3630,10 @@ async function runDailyAudit(env) {
       logger.warn('Local audit skipped — StatSim data not available', { reason: localResult.reason });
     }
 
+    // Per-endorsement currency for local controllers
+    store = await loadStore(env);
+    const endorsementResult = await runEndorsementAudit(env, store);
+
     // Enrich flagged controllers with accurate VATSIM last session dates
     let enrichmentStats = {};
     try {
@@ -1233,37 +3643,216 @@ async function runDailyAudit(env) {
       logger.error('Enrichment failed (non-fatal)', e);
     }
 
-    // Reload store after enrichment
-    const finalStore = await loadStore(env);
+    // Reload store after enrichment
+    const finalStore = await loadStore(env);
+
+    logger.info('Daily audit complete', {
+      visitingCount: finalStore.visiting?.length || 0,
+      localCount: finalStore.local?.length || 0,
+      visitingFlagged: visitingResult.flagged,
+      localFlagged: localResult.flagged
+    });
+    logger.metric('daily_audit_complete', 1, {
+      visiting: finalStore.visiting?.length || 0,
+      local: finalStore.local?.length || 0
+    });
+
+    // Persist today's results so later runs can be diffed against them
+    const snapshot = await saveAuditSnapshot(env, finalStore);
+
+    // Alert the routed channels about flagged controllers
+    await sendAuditAlert(env, finalStore);
+
+    // Tell opted-in visiting controllers about their own shortfall
+    let noticeStats = {};
+    try {
+      noticeStats = await sendControllerNotices(env, finalStore);
+    } catch (e) {
+      noticeStats = { error: e.message };
+      logger.error('Controller notices failed (non-fatal)', e);
+    }
+
+    return {
+      visiting: visitingResult,
+      local: localResult,
+      endorsements: endorsementResult,
+      expiredExclusions: exclusionResult.expired,
+      enrichment: enrichmentStats,
+      notices: noticeStats,
+      snapshot: snapshot?.date || null,
+      finalCounts: {
+        visiting: finalStore.visiting?.length || 0,
+        local: finalStore.local?.length || 0
+      }
+    };
+
+  } catch (error) {
+    logger.error('Daily audit failed', error);
+    throw error;
+  }
+}
+
+// Removes exclusions whose expiry has passed, logs each lapse and reports them on
+// Discord so staff can follow up. Runs once per daily audit.
+async function lapseExpiredExclusions(env) {
+  const exclusions = await loadExclusions(env);
+  const now = Date.now();
+  const expired = Object.entries(exclusions)
+    .filter(([, exclusion]) => !isExclusionActive(exclusion, now))
+    .map(([cid, exclusion]) => ({ cid, ...exclusion }));
+  if (expired.length === 0) return { expired: [] };
+
+  for (const { cid } of expired) delete exclusions[cid];
+  await saveExclusions(env, exclusions);
+
+  const system = { sub: 'system', role: null };
+  for (const exclusion of expired) {
+    await recordStaffAction(env, system, 'exclusion.expire', {
+      cid: exclusion.cid,
+      reason: EXCLUSION_REASONS[exclusion.reason] || null,
+      details: { scope: exclusion.scope, expiresAt: exclusion.expiresAt, addedBy: exclusion.addedBy }
+    });
+  }
+
+  await sendExpiredExclusionsReport(env, expired);
+  logger.info('Expired exclusions lapsed', { count: expired.length });
+  return { expired: expired.map(e => e.cid) };
+}
+
+async function sendExpiredExclusionsReport(env, expired) {
+  if (expired.length === 0) return;
+
+  const lines = expired.map(e => {
+    const reason = EXCLUSION_REASONS[e.reason] || 'No reason recorded';
+    const note = e.note ? ` (${e.note})` : '';
+    const by = e.addedBy ? ` | Added by ${e.addedBy}` : '';
+    return `\u2022 **${e.cid}** — ${reason}${note} | Expired ${e.expiresAt.split('T')[0]} | ${e.scope.join(', ')}${by}`;
+  });
+  await notify(env, ['daily-audit'], () => ({
+    title: '\u23f0 Exclusions Expired',
+    description: 'These controllers are audited and alerted on normally again.',
+    color: 0xf5a623,
+    timestamp: new Date().toISOString(),
+    sections: [{ name: `Expired (${expired.length})`, lines }]
+  }));
+}
+
+// ==================== Audit History ====================
+
+// runAudit replaces the live store every day, so each daily run is also kept as a
+// dated snapshot. The index lets history be listed without a KV list() call.
+const AUDIT_SNAPSHOT_PREFIX = 'audit_snapshot:';
+const AUDIT_SNAPSHOT_INDEX_KEY = 'audit_snapshot_index';
+const AUDIT_SNAPSHOT_RETENTION_DAYS = 180;
+
+// Snapshots are keyed by UTC date; a second run on the same day replaces the first.
+function snapshotDateKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+function isValidSnapshotDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) && Number.isFinite(Date.parse(date));
+}
+
+// Only what trends and diffs need — enrichment fields stay in the live store.
+function toSnapshotRecord(record) {
+  return {
+    cid: record.id.replace('audit_', ''),
+    status: record.status,
+    flagged: record.flagged === true,
+    ...(record.excluded ? { excluded: true } : {}),
+    rating: record.rating,
+    hoursLogged: record.hoursLogged,
+    lastSession: record.lastSession || null
+  };
+}
+
+async function loadSnapshotIndex(env) {
+  if (!env.hours) return [];
+  try {
+    return await env.hours.get(AUDIT_SNAPSHOT_INDEX_KEY, { type: 'json' }) || [];
+  } catch (e) {
+    logger.error('Audit snapshot index read failed', e);
+    return [];
+  }
+}
+
+async function loadAuditSnapshot(env, date) {
+  if (!env.hours) return null;
+  try {
+    return await env.hours.get(`${AUDIT_SNAPSHOT_PREFIX}${date}`, { type: 'json' });
+  } catch (e) {
+    logger.error('Audit snapshot read failed', e, { date });
+    return null;
+  }
+}
+
+async function saveAuditSnapshot(env, store) {
+  if (!env.hours) return null;
 
-    logger.info('Daily audit complete', {
-      visitingCount: finalStore.visiting?.length || 0,
-      localCount: finalStore.local?.length || 0,
-      visitingFlagged: visitingResult.flagged,
-      localFlagged: localResult.flagged
-    });
-    logger.metric('daily_audit_complete', 1, {
-      visiting: finalStore.visiting?.length || 0,
-      local: finalStore.local?.length || 0
+  const date = snapshotDateKey();
+  const snapshot = {
+    date,
+    savedAt: new Date().toISOString(),
+    policyVersion: store.policyVersion ?? null,
+    visiting: (store.visiting || []).map(toSnapshotRecord),
+    local: (store.local || []).map(toSnapshotRecord)
+  };
+
+  try {
+    await env.hours.put(`${AUDIT_SNAPSHOT_PREFIX}${date}`, JSON.stringify(snapshot));
+
+    const index = (await loadSnapshotIndex(env)).filter(e => e.date !== date);
+    index.push({
+      date,
+      savedAt: snapshot.savedAt,
+      policyVersion: snapshot.policyVersion,
+      visiting: { total: snapshot.visiting.length, flagged: snapshot.visiting.filter(r => r.flagged && !r.excluded).length },
+      local: { total: snapshot.local.length, flagged: snapshot.local.filter(r => r.flagged && !r.excluded).length }
     });
+    index.sort((a, b) => a.date.localeCompare(b.date));
 
-    // Send Discord alert for flagged controllers
-    await sendDiscordAuditAlert(env, finalStore);
+    // Prune snapshots that have aged out of the retention window
+    const cutoff = snapshotDateKey(new Date(Date.now() - AUDIT_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const entry of index.filter(e => e.date < cutoff)) {
+      await env.hours.delete(`${AUDIT_SNAPSHOT_PREFIX}${entry.date}`);
+    }
+    await env.hours.put(AUDIT_SNAPSHOT_INDEX_KEY, JSON.stringify(index.filter(e => e.date >= cutoff)));
 
-    return {
-      visiting: visitingResult,
-      local: localResult,
-      enrichment: enrichmentStats,
-      finalCounts: {
-        visiting: finalStore.visiting?.length || 0,
-        local: finalStore.local?.length || 0
+    logger.info('Audit snapshot saved', { date, visiting: snapshot.visiting.length, local: snapshot.local.length });
+    return snapshot;
+  } catch (e) {
+    logger.error('Audit snapshot save failed', e, { date });
+    return null;
+  }
+}
+
+// Compares two snapshots per audit type. A CID counts as newly flagged if it is
+// flagged in `to` and was not flagged (or not present) in `from`.
+function diffAuditSnapshots(from, to) {
+  const diff = {};
+  for (const type of ['visiting', 'local']) {
+    const before = new Map((from[type] || []).map(r => [r.cid, r]));
+    const after = new Map((to[type] || []).map(r => [r.cid, r]));
+    const newlyFlagged = [];
+    const newlyPassed = [];
+    const removed = [];
+
+    for (const [cid, record] of after) {
+      const prev = before.get(cid);
+      if (record.flagged && !prev?.flagged) {
+        newlyFlagged.push({ ...record, previousStatus: prev?.status || null });
+      } else if (!record.flagged && prev?.flagged) {
+        newlyPassed.push({ ...record, previousStatus: prev.status });
       }
-    };
+    }
+    for (const [cid, record] of before) {
+      if (!after.has(cid)) removed.push(record);
+    }
 
-  } catch (error) {
-    logger.error('Daily audit failed', error);
-    throw error;
+    diff[type] = { newlyFlagged, newlyPassed, removed };
   }
+  return diff;
 }
 
 // ==================== VATSIM Last Session Enrichment ====================
@@ -1293,7 +3882,7 @@ async function fetchVatsimLastSession(cid) {
 async function enrichFlaggedWithVatsimLastSession(env) {
   const store = await loadStore(env);
   const allRecords = [...(store.visiting || []), ...(store.local || [])];
-  const flagged = allRecords.filter(r => r.flagged);
+  const flagged = allRecords.filter(r => r.flagged && !r.excluded);
 
   if (flagged.length === 0) {
     logger.info('No flagged controllers to enrich');
@@ -1346,125 +3935,1169 @@ async function enrichFlaggedWithVatsimLastSession(env) {
       }
     }
 
-    logger.info('VATSIM fetch batch results', { fetched, rateLimited, attempted: toFetch.length, sampleFailures: failures.slice(0, 5) });
-
-    // Save updated cache to KV
-    await env.hours.put(VATSIM_CACHE_KEY, JSON.stringify(vatsimCache));
+    logger.info('VATSIM fetch batch results', { fetched, rateLimited, attempted: toFetch.length, sampleFailures: failures.slice(0, 5) });
+
+    // Save updated cache to KV
+    await env.hours.put(VATSIM_CACHE_KEY, JSON.stringify(vatsimCache));
+  }
+
+  // Apply cached data to all flagged records
+  let enriched = 0;
+  for (const record of flagged) {
+    const cid = record.id.replace('audit_', '');
+    const cached = vatsimCache[cid];
+    if (cached) {
+      record.lastSessionVatsim = cached.lastSession;
+      record.lastCallsign = cached.lastCallsign;
+      enriched++;
+    }
+  }
+
+  // Save enriched store
+  await saveStore(env, store);
+
+  const remaining = needsLookup.length - toFetch.length;
+  const stats = {
+    totalFlagged: flagged.length,
+    alreadyCached: flagged.length - needsLookup.length,
+    attempted: toFetch.length,
+    succeeded: toFetch.length > 0 ? (toFetch.length - rateLimited) : 0,
+    failed: rateLimited,
+    sampleFailures: failures.slice(0, 5),
+    enrichedFromCache: enriched,
+    remaining: remaining > 0 ? remaining : 0
+  };
+  logger.info('VATSIM enrichment complete', stats);
+  return stats;
+}
+
+// ==================== Notification Channels ====================
+// Alerts are built once as a transport-neutral message and delivered to every
+// channel whose routing covers what the alert is about, so each staff team only
+// hears about its own categories. Channels are stored in KV and edited through
+// /api/notifications; with none stored, everything goes to DISCORD_WEBHOOK_URL.
+//
+// A message is { headline, ping, mention, title, url, description, color, thumbnail,
+// footer, timestamp, sections: [{ name, lines }], incidents, attachment: { filename,
+// csv } }. Text uses Discord
+// markdown (**bold**, [text](url), `code`, <t:unix:R>); the other adapters translate it.
+//
+// Callsign routes send live violations to the staff who look after that airspace:
+// a channel named by any route only gets violations on positions its routes match
+// (pinging the route's mention), while channels no route names still get them all.
+
+const NOTIFY_CHANNELS_KV_KEY = 'notification_channels';
+const NOTIFY_CATEGORIES = ['daily-audit', 'roster', 'endorsement', 'rating', 'atis', 'digest'];
+const NOTIFY_CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const NOTIFY_MAX_CHANNELS = 20;
+const NOTIFY_MAX_EMAIL_RECIPIENTS = 10;
+const NOTIFY_MAX_CALLSIGN_ROUTES = 50;
+const CALLSIGN_AFFIX_PATTERN = /^[A-Z0-9_-]{1,12}$/;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+const DISCORD_MARKDOWN_PATTERN = /<t:(\d+):[a-zA-Z]>|\[([^\]]+)\]\((https?:[^)\s]+)\)|\*\*(.+?)\*\*|`([^`]+)`/g;
+
+// Rewrites Discord markdown for another transport. `escape` runs on the literal
+// text in between so names from VATSIM/TMS cannot inject markup.
+function translateMarkdown(text, { escape, time, link, bold, code }) {
+  let out = '';
+  let last = 0;
+  for (const m of String(text ?? '').matchAll(DISCORD_MARKDOWN_PATTERN)) {
+    out += escape(m.input.slice(last, m.index));
+    if (m[1]) out += time(Number(m[1]));
+    else if (m[2]) out += link(escape(m[2]), m[3]);
+    else if (m[4]) out += bold(escape(m[4]));
+    else out += code(escape(m[5]));
+    last = m.index + m[0].length;
+  }
+  return out + escape(String(text ?? '').slice(last));
+}
+
+const formatUnixUtc = (s) => `${new Date(s * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const toPlainText = (text) => translateMarkdown(text, {
+  escape: t => t,
+  time: formatUnixUtc,
+  link: (label, url) => `${label} (${url})`,
+  bold: t => t,
+  code: t => t
+});
+
+const toSlackMarkdown = (text) => translateMarkdown(text, {
+  escape: t => t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+  time: s => `<!date^${s}^{date_short_pretty} {time}|${formatUnixUtc(s)}>`,
+  link: (label, url) => `<${url}|${label}>`,
+  bold: t => `*${t}*`,
+  code: t => `\`${t}\``
+});
+
+const toHtml = (text) => translateMarkdown(text, {
+  escape: escapeHtmlAttr,
+  time: formatUnixUtc,
+  link: (label, url) => `<a href="${escapeHtmlAttr(url)}">${label}</a>`,
+  bold: t => `<strong>${t}</strong>`,
+  code: t => `<code>${t}</code>`
+});
+
+// Longest rate-limit wait worth sitting through inside one tick
+const NOTIFY_MAX_RETRY_AFTER_MS = 10 * 1000;
+
+// JSON by default; FormData (file uploads) sets its own multipart Content-Type.
+// `retryOn429` waits out one rate limit (Discord's retry_after, in seconds) and tries again.
+async function postNotification(url, body, headers = {}, { retryOn429 = false } = {}) {
+  const isForm = body instanceof FormData;
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: isForm ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: isForm || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  if (resp.status === 429 && retryOn429) {
+    const text = await resp.text();
+    let retryAfter = Number(resp.headers.get('Retry-After'));
+    try {
+      retryAfter = Number(JSON.parse(text).retry_after) || retryAfter;
+    } catch { /* header only */ }
+    const waitMs = Math.ceil((Number.isFinite(retryAfter) ? retryAfter : 1) * 1000);
+    if (waitMs > NOTIFY_MAX_RETRY_AFTER_MS) throw new Error(`HTTP 429: rate limited for ${waitMs / 1000}s`);
+    logger.warn('Notification rate limited — retrying once', { waitMs });
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    return postNotification(url, body, headers);
+  }
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${(await resp.text()).slice(0, 200)}`);
+}
+
+// Mail goes through an HTTP-to-SMTP relay (EMAIL_RELAY_URL, MailChannels-style
+// JSON) because Workers cannot speak SMTP themselves.
+async function sendEmail(env, to, { subject, text, html, attachment = null }) {
+  if (!env.EMAIL_RELAY_URL || !env.EMAIL_FROM) throw new Error('EMAIL_RELAY_URL and EMAIL_FROM must be configured');
+  await postNotification(env.EMAIL_RELAY_URL, {
+    personalizations: [{ to: to.map(email => ({ email })) }],
+    from: { email: env.EMAIL_FROM, name: 'VATPAC Controller Audit' },
+    subject: subject.slice(0, 200),
+    content: [{ type: 'text/plain', value: text }, { type: 'text/html', value: html }],
+    ...(attachment ? {
+      attachments: [{
+        filename: attachment.filename,
+        type: 'text/csv',
+        content: base64Encode(textEncoder.encode(attachment.csv))
+      }]
+    } : {})
+  }, env.EMAIL_RELAY_TOKEN ? { Authorization: `Bearer ${env.EMAIL_RELAY_TOKEN}` } : {});
+}
+
+// Discord's per-message limits. Long reports are split across embeds, then across
+// follow-up messages, rather than cut off.
+const DISCORD_EMBED_MAX_FIELDS = 25;
+const DISCORD_MESSAGE_MAX_EMBEDS = 10;
+const DISCORD_MESSAGE_MAX_CHARS = 6000;
+// Past this many messages the channel gets flooded; the CSV/dashboard has the rest
+const DISCORD_MAX_MESSAGES_PER_ALERT = 5;
+// Room kept in each message for the "(2/3)" title and footer added after paging
+const DISCORD_PAGE_OVERHEAD_CHARS = 400;
+
+// Splits fields into messages of embeds. The first embed of the first message is
+// `head` (title, description…); every other embed only carries fields.
+function paginateDiscordFields(head, fields) {
+  const headChars = (head.title || '').length + (head.description || '').length;
+  const messages = [];
+  let embeds = [{ ...head, fields: [] }];
+  let chars = headChars + DISCORD_PAGE_OVERHEAD_CHARS;
+  for (const field of fields) {
+    const size = field.name.length + field.value.length;
+    let embed = embeds[embeds.length - 1];
+    if (chars + size > DISCORD_MESSAGE_MAX_CHARS
+        || (embed.fields.length >= DISCORD_EMBED_MAX_FIELDS && embeds.length >= DISCORD_MESSAGE_MAX_EMBEDS)) {
+      messages.push(embeds);
+      embeds = [{ color: head.color, fields: [] }];
+      chars = (head.title || '').length + DISCORD_PAGE_OVERHEAD_CHARS;
+    } else if (embed.fields.length >= DISCORD_EMBED_MAX_FIELDS) {
+      embeds.push({ color: head.color, fields: [] });
+    }
+    embeds[embeds.length - 1].fields.push(field);
+    chars += size;
+  }
+  messages.push(embeds);
+  return messages;
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function validateMention(value) {
+  return value == null || (typeof value === 'string' && value.length <= 100) ? null : 'must be a string of up to 100 characters';
+}
+
+// Each adapter lists its write-only `secrets`, validates its own settings and
+// delivers a message. `send` throws on failure; notify() logs and carries on.
+const NOTIFIERS = {
+  discord: {
+    secrets: ['url'],
+    options: ['mention', 'buttons'],
+    validate(channel) {
+      const errors = [];
+      // No URL means the worker's DISCORD_WEBHOOK_URL secret
+      if (channel.url != null && !isHttpsUrl(channel.url)) errors.push({ field: 'url', error: 'must be an https URL' });
+      const mention = validateMention(channel.mention);
+      if (mention) errors.push({ field: 'mention', error: mention });
+      if (channel.buttons != null && typeof channel.buttons !== 'boolean') errors.push({ field: 'buttons', error: 'must be true or false' });
+      return errors;
+    },
+    async send(env, channel, message) {
+      const webhookUrl = channel.url || env.DISCORD_WEBHOOK_URL;
+      if (!webhookUrl) throw new Error('No webhook URL (set one on the channel or DISCORD_WEBHOOK_URL)');
+
+      const fields = (message.sections || []).flatMap(s => chunkIntoFields(s.name, s.lines));
+      let pages = paginateDiscordFields({
+        title: message.title,
+        url: message.url,
+        description: message.description,
+        color: message.color,
+        thumbnail: message.thumbnail ? { url: message.thumbnail } : undefined
+      }, fields);
+      const notes = [];
+      if (pages.length > DISCORD_MAX_MESSAGES_PER_ALERT) {
+        const dropped = pages.slice(DISCORD_MAX_MESSAGES_PER_ALERT).reduce((n, embeds) => n + embeds.reduce((m, e) => m + e.fields.length, 0), 0);
+        pages = pages.slice(0, DISCORD_MAX_MESSAGES_PER_ALERT);
+        notes.push(`${dropped} further field(s) not posted — ${message.attachment ? 'see the attached CSV or ' : 'see '}the dashboard`);
+      }
+
+      // Buttons need the interactions endpoint configured and an application-owned webhook
+      let components = null;
+      let buttonUrl = webhookUrl;
+      if (channel.buttons && env.DISCORD_PUBLIC_KEY && message.incidents?.length) {
+        components = buildViolationButtons(message.incidents);
+        if (message.incidents.length > components.length) {
+          notes.push(`Buttons shown for the first ${components.length} — manage the rest in the dashboard`);
+        }
+        const u = new URL(webhookUrl);
+        u.searchParams.set('with_components', 'true');
+        buttonUrl = u.toString();
+      }
+
+      const content = [message.ping && (message.mention || channel.mention), message.headline].filter(Boolean).join(' ');
+      const timestamp = message.timestamp || new Date().toISOString();
+      for (const [i, embeds] of pages.entries()) {
+        const page = pages.length > 1 ? ` (${i + 1}/${pages.length})` : '';
+        if (i > 0) embeds[0].title = `${message.title}${page}`.slice(0, 256);
+        // Footer and timestamp close each message; the notes only the last
+        const last = embeds[embeds.length - 1];
+        const footer = [message.footer, page.trim(), ...(i === pages.length - 1 ? notes : [])].filter(Boolean).join(' • ');
+        if (footer) last.footer = { text: footer };
+        last.timestamp = timestamp;
+
+        // Mention, buttons and the CSV ride on the first message only
+        const body = { embeds };
+        if (i === 0 && content) body.content = content;
+        if (i === 0 && components) body.components = components;
+        const url = i === 0 && components ? buttonUrl : webhookUrl;
+        if (i === 0 && message.attachment) {
+          const form = new FormData();
+          form.append('payload_json', JSON.stringify({ ...body, attachments: [{ id: 0, filename: message.attachment.filename }] }));
+          form.append('files[0]', new Blob([message.attachment.csv], { type: 'text/csv' }), message.attachment.filename);
+          await postNotification(url, form, {}, { retryOn429: true });
+        } else {
+          await postNotification(url, body, {}, { retryOn429: true });
+        }
+      }
+    }
+  },
+
+  slack: {
+    secrets: ['url'],
+    options: ['mention'],
+    validate(channel) {
+      const errors = [];
+      if (!isHttpsUrl(channel.url)) errors.push({ field: 'url', error: 'is required and must be an https URL' });
+      const mention = validateMention(channel.mention);
+      if (mention) errors.push({ field: 'mention', error: mention });
+      return errors;
+    },
+    async send(env, channel, message) {
+      const blocks = [];
+      const headline = [message.ping && (message.mention || channel.mention), message.headline && toSlackMarkdown(message.headline)].filter(Boolean).join(' ');
+      if (headline) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: headline } });
+      blocks.push({ type: 'header', text: { type: 'plain_text', text: toPlainText(message.title).slice(0, 150), emoji: true } });
+      if (message.description) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: toSlackMarkdown(message.description) } });
+      for (const section of message.sections || []) {
+        for (const field of chunkIntoFields(section.name, section.lines)) {
+          blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${toSlackMarkdown(field.name)}*\n${toSlackMarkdown(field.value)}` } });
+        }
+      }
+      // Slack rejects messages with more than 50 blocks; keep room for the closing ones
+      if (blocks.length > 47) {
+        const dropped = blocks.length - 46;
+        blocks.splice(46, blocks.length, { type: 'section', text: { type: 'mrkdwn', text: `${dropped} further section(s) omitted — see the <${DASHBOARD_URL}|dashboard>.` } });
+      }
+      // Incoming webhooks cannot upload files
+      if (message.attachment) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `The full list is in the <${DASHBOARD_URL}|dashboard>.` } });
+      }
+      if (message.footer) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: toSlackMarkdown(message.footer) }] });
+      await postNotification(channel.url, { text: toPlainText(message.headline || message.title), blocks });
+    }
+  },
+
+  // Generic JSON for staff tooling. The body is signed with HMAC-SHA256 over
+  // "<timestamp>.<body>" so the receiver can check it came from this worker.
+  webhook: {
+    secrets: ['url', 'secret'],
+    options: [],
+    validate(channel) {
+      const errors = [];
+      if (!isHttpsUrl(channel.url)) errors.push({ field: 'url', error: 'is required and must be an https URL' });
+      if (typeof channel.secret !== 'string' || channel.secret.length < 16) errors.push({ field: 'secret', error: 'is required (at least 16 characters)' });
+      return errors;
+    },
+    async send(env, channel, message, categories) {
+      const { incidents, ...rest } = message;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const body = JSON.stringify({
+        type: 'vatpac.alert',
+        channel: channel.id,
+        categories,
+        sentAt: new Date().toISOString(),
+        message: { ...rest, incidents: incidents || [] }
+      });
+      const sig = await crypto.subtle.sign('HMAC', await importHmacKey(channel.secret), textEncoder.encode(`${timestamp}.${body}`));
+      const hex = [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, '0')).join('');
+      await postNotification(channel.url, body, {
+        'X-VATPAC-Timestamp': timestamp,
+        'X-VATPAC-Signature': `sha256=${hex}`
+      });
+    }
+  },
+
+  // Plain-text and HTML mail through sendEmail's relay
+  email: {
+    secrets: [],
+    options: ['to'],
+    validate(channel) {
+      const to = channel.to;
+      if (!Array.isArray(to) || to.length === 0 || to.length > NOTIFY_MAX_EMAIL_RECIPIENTS
+          || !to.every(addr => typeof addr === 'string' && EMAIL_PATTERN.test(addr))) {
+        return [{ field: 'to', error: `must list 1-${NOTIFY_MAX_EMAIL_RECIPIENTS} email addresses` }];
+      }
+      return [];
+    },
+    async send(env, channel, message) {
+      const sections = message.sections || [];
+      const text = [
+        message.headline && toPlainText(message.headline),
+        toPlainText(message.title),
+        message.description && toPlainText(message.description),
+        ...sections.map(s => `${toPlainText(s.name)}\n${s.lines.map(toPlainText).join('\n')}`),
+        message.footer && toPlainText(message.footer)
+      ].filter(Boolean).join('\n\n');
+      const html = [
+        message.headline && `<p>${toHtml(message.headline)}</p>`,
+        `<h2>${message.url ? `<a href="${escapeHtmlAttr(message.url)}">${toHtml(message.title)}</a>` : toHtml(message.title)}</h2>`,
+        message.description && `<p>${toHtml(message.description)}</p>`,
+        ...sections.map(s => `<h3>${toHtml(s.name)}</h3><ul>${s.lines.map(l => `<li>${toHtml(l.replace(/^\s*•\s*/, ''))}</li>`).join('')}</ul>`),
+        message.footer && `<p><small>${toHtml(message.footer)}</small></p>`
+      ].filter(Boolean).join('\n');
+
+      await sendEmail(env, channel.to, {
+        subject: toPlainText(message.headline || message.title),
+        text,
+        html,
+        attachment: message.attachment
+      });
+    }
+  }
+};
+
+// Validates a PUT /api/notifications channel list. Secrets are write-only: a channel
+// that leaves one out keeps the value stored for the same id and type.
+function parseNotificationChannels(input, existing = []) {
+  if (!Array.isArray(input)) return { errors: [{ field: 'channels', error: 'must be a list' }] };
+  if (input.length > NOTIFY_MAX_CHANNELS) return { errors: [{ field: 'channels', error: `at most ${NOTIFY_MAX_CHANNELS} channels` }] };
+
+  const errors = [];
+  const channels = [];
+  const seen = new Set();
+  input.forEach((raw, i) => {
+    const at = (field) => `channels[${i}].${field}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ field: `channels[${i}]`, error: 'must be an object' });
+      return;
+    }
+    const id = String(raw.id || '').trim();
+    if (!NOTIFY_CHANNEL_ID_PATTERN.test(id)) errors.push({ field: at('id'), error: 'must be 1-32 lowercase letters, digits or dashes' });
+    else if (seen.has(id)) errors.push({ field: at('id'), error: 'is used twice' });
+    seen.add(id);
+
+    const notifier = NOTIFIERS[raw.type];
+    if (!notifier) {
+      errors.push({ field: at('type'), error: `must be one of: ${Object.keys(NOTIFIERS).join(', ')}` });
+      return;
+    }
+    const categories = Array.isArray(raw.categories) ? [...new Set(raw.categories)] : [];
+    const unknown = categories.filter(c => !NOTIFY_CATEGORIES.includes(c));
+    if (categories.length === 0) errors.push({ field: at('categories'), error: `must list at least one of: ${NOTIFY_CATEGORIES.join(', ')}` });
+    else if (unknown.length) errors.push({ field: at('categories'), error: `unsupported category: ${unknown.join(', ')}` });
+
+    const previous = existing.find(c => c.id === id && c.type === raw.type) || {};
+    const channel = { id, type: raw.type, categories, enabled: raw.enabled !== false };
+    for (const key of notifier.secrets) {
+      const value = raw[key] ?? previous[key];
+      if (value != null && value !== '') channel[key] = String(value).trim();
+    }
+    for (const key of notifier.options) {
+      if (raw[key] != null) channel[key] = raw[key];
+    }
+    errors.push(...notifier.validate(channel).map(e => ({ field: at(e.field), error: e.error })));
+    channels.push(channel);
+  });
+
+  if (errors.length) return { errors };
+  return { channels };
+}
+
+// Validates the callsign routing table against the channel ids being saved.
+function parseCallsignRoutes(input, channelIds) {
+  if (!Array.isArray(input)) return { errors: [{ field: 'callsignRoutes', error: 'must be a list' }] };
+  if (input.length > NOTIFY_MAX_CALLSIGN_ROUTES) {
+    return { errors: [{ field: 'callsignRoutes', error: `at most ${NOTIFY_MAX_CALLSIGN_ROUTES} routes` }] };
+  }
+
+  const errors = [];
+  const routes = input.map((raw, i) => {
+    const at = (field) => `callsignRoutes[${i}].${field}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ field: `callsignRoutes[${i}]`, error: 'must be an object' });
+      return null;
+    }
+    const affixes = (field) => {
+      const list = raw[field] == null ? [] : raw[field];
+      if (!Array.isArray(list) || !list.every(a => typeof a === 'string' && CALLSIGN_AFFIX_PATTERN.test(a.trim().toUpperCase()))) {
+        errors.push({ field: at(field), error: 'must be a list of callsign fragments (letters, digits, _ or -)' });
+        return [];
+      }
+      return [...new Set(list.map(a => a.trim().toUpperCase()))];
+    };
+    const route = {
+      name: String(raw.name || '').trim().slice(0, 50) || null,
+      prefixes: affixes('prefixes'),
+      suffixes: affixes('suffixes'),
+      channels: Array.isArray(raw.channels) ? [...new Set(raw.channels)] : []
+    };
+    if (!route.prefixes.length && !route.suffixes.length) {
+      errors.push({ field: at('prefixes'), error: 'a route needs at least one prefix or suffix' });
+    }
+    const unknown = route.channels.filter(id => !channelIds.includes(id));
+    if (route.channels.length === 0) errors.push({ field: at('channels'), error: 'must list at least one channel id' });
+    else if (unknown.length) errors.push({ field: at('channels'), error: `unknown channel: ${unknown.join(', ')}` });
+    const mention = validateMention(raw.mention);
+    if (mention) errors.push({ field: at('mention'), error: mention });
+    else if (raw.mention) route.mention = raw.mention;
+    return route;
+  });
+
+  if (errors.length) return { errors };
+  return { callsignRoutes: routes };
+}
+
+// Both lists are optional per route; a route with prefixes and suffixes needs one of each.
+function matchesCallsignRoute(route, callsign) {
+  const cs = String(callsign || '').toUpperCase();
+  return (!route.prefixes.length || route.prefixes.some(p => cs.startsWith(p)))
+    && (!route.suffixes.length || route.suffixes.some(x => cs.endsWith(x)));
+}
+
+// Secrets never leave the worker; the response says which ones are set instead.
+function redactNotificationChannel(channel) {
+  const { secrets } = NOTIFIERS[channel.type];
+  const redacted = { ...channel, secretsSet: secrets.filter(key => channel[key]) };
+  for (const key of secrets) delete redacted[key];
+  return redacted;
+}
+
+async function loadNotificationConfig(env) {
+  try {
+    return await env.hours.get(NOTIFY_CHANNELS_KV_KEY, { type: 'json' });
+  } catch (e) {
+    logger.error('Notification channels KV read failed', e);
+    return null;
+  }
+}
+
+async function saveNotificationConfig(env, channels, callsignRoutes, updatedBy) {
+  const doc = { channels, callsignRoutes, updatedAt: new Date().toISOString(), updatedBy };
+  await env.hours.put(NOTIFY_CHANNELS_KV_KEY, JSON.stringify(doc));
+  return doc;
+}
+
+// Stored channels and callsign routes, or the single Discord webhook every alert
+// went to before channels were configurable.
+async function loadNotificationRouting(env) {
+  const doc = await loadNotificationConfig(env);
+  if (doc?.channels?.length) return { channels: doc.channels, callsignRoutes: doc.callsignRoutes || [] };
+  if (!env.DISCORD_WEBHOOK_URL) return { channels: [], callsignRoutes: [] };
+  return {
+    channels: [{
+      id: 'default',
+      type: 'discord',
+      categories: NOTIFY_CATEGORIES,
+      enabled: true,
+      mention: `<@&${DISCORD_ROLE_ID}>`,
+      buttons: !!env.DISCORD_PUBLIC_KEY
+    }],
+    callsignRoutes: []
+  };
+}
+
+async function loadNotificationChannels(env) {
+  return (await loadNotificationRouting(env)).channels;
+}
+
+async function deliverNotification(env, channel, message, categories) {
+  try {
+    await NOTIFIERS[channel.type].send(env, channel, message, categories);
+    return { channel: channel.id, ok: true };
+  } catch (err) {
+    logger.error('Notification delivery failed', err, { channel: channel.id, type: channel.type });
+    return { channel: channel.id, ok: false, error: err.message };
+  }
+}
+
+// Sends to every enabled channel routed for at least one of `categories`.
+// `build(wanted, routes)` gets the categories that channel takes, so an alert
+// spanning several (the live check) only carries the sections each team asked
+// for. `routes` is null for a channel no callsign route names, otherwise the
+// routes that name it; alerts about positions keep only what those match.
+async function notify(env, categories, build) {
+  const { channels, callsignRoutes } = await loadNotificationRouting(env);
+  const results = [];
+  for (const channel of channels) {
+    if (channel.enabled === false) continue;
+    const wanted = categories.filter(c => channel.categories.includes(c));
+    if (wanted.length === 0) continue;
+    const routes = callsignRoutes.filter(r => r.channels.includes(channel.id));
+    const message = build(wanted, routes.length ? routes : null);
+    if (message) results.push(await deliverNotification(env, channel, message, wanted));
+  }
+  if (results.length === 0) logger.warn('No notification channel takes this alert — skipping', { categories });
+  return results;
+}
+
+// ==================== Audit Alert ====================
+
+async function sendAuditAlert(env, store) {
+  // Exclusions apply per audit: the audit marks excluded records, endorsements
+  // follow the local one. Division membership is a roster question, not an
+  // activity one, so no exclusion hides it.
+  const localExcluded = getExcludedCids(await loadExclusions(env), 'local-audit');
+  const visitingFlagged = (store.visiting || []).filter(r => r.status === 'flagged' && !r.excluded);
+  const visitingAtRisk = (store.visiting || []).filter(r => r.status === 'at-risk' && !r.excluded);
+  const localNonDivision = (store.local || []).filter(
+    r => r.status === 'not-division-member'
+  );
+  const endorsementLapsed = (store.endorsements || []).filter(
+    r => r.flagged && !localExcluded.has(r.id.replace('audit_', ''))
+  );
+
+  if (visitingFlagged.length === 0 && visitingAtRisk.length === 0
+      && localNonDivision.length === 0 && endorsementLapsed.length === 0) {
+    logger.info('No flagged controllers — skipping audit notification');
+    return;
+  }
+
+  // Each section is routed on its own: membership goes to whoever handles the
+  // roster, lapsed endorsements to whoever handles training.
+  const sections = [];
+
+  if (visitingFlagged.length > 0) {
+    const lines = visitingFlagged.map(r => {
+      const hrs = r.hoursLogged ?? 0;
+      const lastDate = r.lastSessionVatsim
+        ? new Date(r.lastSessionVatsim).toISOString().split('T')[0]
+        : 'N/A';
+      const callsign = r.lastCallsign ? ` (${r.lastCallsign})` : '';
+      const needed = r.neededBy ? ` | Needs ${r.hoursNeeded}h by ${r.neededBy.split('T')[0]}` : '';
+      const short = (r.classShortfalls || []).length
+        ? ` | Short: ${r.classShortfalls.map(c => `${c.positionClass} ${c.logged}/${c.required}h`).join(', ')}`
+        : '';
+      const required = r.loa?.hoursRequired ?? POLICY.visitingHoursRequired;
+      const loa = r.loa ? ` (${r.loa.days}d LOA)` : '';
+      return `\u2022 **${r.id.replace('audit_', '')}** — ${hrs}h / ${required}h${loa} | Last: ${lastDate}${callsign}${needed}${short}`;
+    });
+    sections.push({ category: 'daily-audit', list: 'visiting-flagged', name: `Visiting Below Hours (${visitingFlagged.length})`, lines, records: visitingFlagged });
+  }
+
+  if (visitingAtRisk.length > 0) {
+    const lines = visitingAtRisk.map(r => {
+      const lapse = new Date(r.currentUntil).toISOString().split('T')[0];
+      return `\u2022 **${r.id.replace('audit_', '')}** — ${r.hoursLogged ?? 0}h now, needs ${r.hoursNeeded ?? '?'}h by ${lapse}`;
+    });
+    sections.push({ category: 'daily-audit', list: 'visiting-at-risk', atRisk: true, name: `Visiting At Risk (${visitingAtRisk.length})`, lines, records: visitingAtRisk });
+  }
+
+  if (localNonDivision.length > 0) {
+    const lines = localNonDivision.map(r => {
+      return `\u2022 **${r.id.replace('audit_', '')}** — Division: ${r.division || 'unknown'}`;
+    });
+    sections.push({ category: 'roster', list: 'local-not-division-member', name: `Local — Not Division Member (${localNonDivision.length})`, lines, records: localNonDivision });
+  }
+
+  if (endorsementLapsed.length > 0) {
+    const lines = endorsementLapsed.map(r => {
+      const last = r.lastSession ? r.lastSession.split('T')[0] : 'never';
+      return `\u2022 **${r.id.replace('audit_', '')}** — ${r.endorsement} | Last on position: ${last} (needs ${r.monthsRequired} mo)`;
+    });
+    sections.push({ category: 'endorsement', list: 'endorsement-not-current', name: `Local — Endorsement Not Current (${endorsementLapsed.length})`, lines, records: endorsementLapsed });
+  }
+
+  const results = await notify(env, [...new Set(sections.map(s => s.category))], (categories) => {
+    const included = sections.filter(s => categories.includes(s.category));
+    const rows = included.flatMap(s => s.records.map(r => [s.list, ...AUDIT_REPORT_CSV_COLUMNS.map(([, get]) => get(r) ?? '')]));
+    return {
+      headline: `Daily audit completed with ${included.some(s => !s.atRisk) ? 'flagged' : 'at-risk'} controllers.`,
+      ping: true,
+      title: '\u26a0\ufe0f VATPAC Controller Audit Alert',
+      color: 0xff4444,
+      timestamp: new Date().toISOString(),
+      sections: included.map(({ name, lines }) => ({ name, lines })),
+      // Long lists also go out as a spreadsheet, which is easier to work through
+      attachment: rows.length > AUDIT_REPORT_CSV_THRESHOLD ? {
+        filename: `audit-report-${snapshotDateKey()}.csv`,
+        csv: toCsv(['list', ...AUDIT_REPORT_CSV_COLUMNS.map(([name]) => name)], rows)
+      } : null
+    };
+  });
+  logger.info('Audit notification sent', {
+    visitingFlagged: visitingFlagged.length,
+    visitingAtRisk: visitingAtRisk.length,
+    localNonDivision: localNonDivision.length,
+    endorsementLapsed: endorsementLapsed.length,
+    channels: results.map(r => `${r.channel}:${r.ok ? 'ok' : 'failed'}`)
+  });
+}
+
+// ==================== Controller Notices ====================
+// Visiting controllers can opt in (signed in with VATSIM Connect on the dashboard)
+// to hear directly when the daily audit flags them or puts them at risk, by Discord
+// DM from the bot or by email, rather than waiting for staff to chase them. A notice
+// goes out when their status changes, then at most every NOTICE_REPEAT_DAYS.
+//
+// Subscriptions are { cid: { method, discordId | email, optedInAt, dmChannelId,
+// lastNotice: { status, sentAt }, lastError } } under one KV key.
+//
+// Opting in sends a code to the new ID or address, and only entering it on the
+// dashboard makes the subscription live, so nobody can point the bot at someone
+// else. Those waiting are { cid: { request: { method, discordId | email,
+// dmChannelId, codeHash, expiresAt, attempts } | null, sentAt: [iso] } } under another.
+
+const NOTICE_SUBSCRIPTIONS_KV_KEY = 'controller_notice_subscriptions';
+const NOTICE_PENDING_KV_KEY = 'controller_notice_pending';
+const NOTICE_CODE_TTL_MINUTES = 30;
+const NOTICE_CODE_MAX_ATTEMPTS = 5;
+// Confirmation messages per CID in any 24 hours
+const NOTICE_CONFIRMATIONS_PER_DAY = 3;
+const NOTICE_METHODS = ['discord', 'email'];
+const NOTICE_STATUSES = ['flagged', 'at-risk'];
+const NOTICE_REPEAT_DAYS = 7;
+// One or two subrequests each; anyone past the cap is first in line tomorrow
+const NOTICE_MAX_PER_RUN = 10;
+const DISCORD_SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const NOTICE_COLOR = 0xf5a623;
+
+// Methods the worker has credentials for
+function getNoticeMethods(env) {
+  return NOTICE_METHODS.filter(method => method === 'discord'
+    ? !!env.DISCORD_BOT_TOKEN
+    : !!(env.EMAIL_RELAY_URL && env.EMAIL_FROM));
+}
+
+// Only a VATSIM Connect session proves a CID; API keys and the bootstrap admin have none.
+function getPrincipalCid(principal) {
+  return !principal.keyId && /^\d{3,10}$/.test(principal.sub) ? principal.sub : null;
+}
+
+async function loadNoticeSubscriptions(env) {
+  try {
+    return (await env.hours.get(NOTICE_SUBSCRIPTIONS_KV_KEY, { type: 'json' })) || {};
+  } catch (e) {
+    logger.error('Notice subscriptions KV read failed', e);
+    return {};
+  }
+}
+
+async function saveNoticeSubscriptions(env, subscriptions) {
+  await env.hours.put(NOTICE_SUBSCRIPTIONS_KV_KEY, JSON.stringify(subscriptions));
+}
+
+async function loadPendingNotices(env) {
+  try {
+    return (await env.hours.get(NOTICE_PENDING_KV_KEY, { type: 'json' })) || {};
+  } catch (e) {
+    logger.error('Pending notice confirmations KV read failed', e);
+    return {};
+  }
+}
+
+// Drops confirmation sends older than a day, and anyone left with nothing pending
+async function savePendingNotices(env, pending, now = Date.now()) {
+  for (const [cid, entry] of Object.entries(pending)) {
+    entry.sentAt = (entry.sentAt || []).filter(at => now - Date.parse(at) < DAY_MS);
+    if (entry.request && Date.parse(entry.request.expiresAt) <= now) entry.request = null;
+    if (!entry.request && entry.sentAt.length === 0) delete pending[cid];
+  }
+  await env.hours.put(NOTICE_PENDING_KV_KEY, JSON.stringify(pending));
+}
+
+async function hashNoticeCode(cid, code) {
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(`${cid}:${code}`));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Six digits, zero-padded
+function generateNoticeCode() {
+  return String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+}
+
+// What the dashboard is told about a pending confirmation: never the code or its hash
+function describePendingNotice(entry, now = Date.now()) {
+  const request = entry?.request;
+  if (!request || Date.parse(request.expiresAt) <= now) return null;
+  return { method: request.method, expiresAt: request.expiresAt };
+}
+
+function parseNoticeSubscription(body, env) {
+  const method = body?.method;
+  if (!NOTICE_METHODS.includes(method)) {
+    return { errors: [{ field: 'method', error: `must be one of: ${NOTICE_METHODS.join(', ')}` }] };
+  }
+  if (!getNoticeMethods(env).includes(method)) {
+    return { errors: [{ field: 'method', error: `${method} notices are not set up on this dashboard` }] };
+  }
+  if (method === 'discord') {
+    const discordId = String(body.discordId ?? '').trim();
+    if (!DISCORD_SNOWFLAKE_PATTERN.test(discordId)) return { errors: [{ field: 'discordId', error: 'must be a Discord user ID (17-20 digits)' }] };
+    return { subscription: { method, discordId } };
+  }
+  const email = String(body.email ?? '').trim();
+  if (email.length > 254 || !EMAIL_PATTERN.test(email)) return { errors: [{ field: 'email', error: 'must be an email address' }] };
+  return { subscription: { method, email } };
+}
+
+// Discord only lets a bot DM users who share a server with it. Returns the DM
+// channel id so later notices can skip opening it again.
+async function sendDiscordDirectMessage(env, subscription, payload) {
+  if (!env.DISCORD_BOT_TOKEN) throw new Error('DISCORD_BOT_TOKEN must be configured');
+  const headers = { Authorization: `Bot ${env.DISCORD_BOT_TOKEN}` };
+  let channelId = subscription.dmChannelId;
+  if (!channelId) {
+    const resp = await fetch(`${DISCORD_API_URL}/users/@me/channels`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recipient_id: subscription.discordId })
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${(await resp.text()).slice(0, 200)}`);
+    channelId = (await resp.json()).id;
+  }
+  await postNotification(`${DISCORD_API_URL}/channels/${channelId}/messages`, { ...payload, allowed_mentions: { parse: [] } }, headers, { retryOn429: true });
+  return channelId;
+}
+
+// Delivers { title, description, color, footer } to one controller; returns the
+// subscription fields that changed.
+async function sendControllerNotice(env, subscription, notice) {
+  if (subscription.method === 'discord') {
+    const dmChannelId = await sendDiscordDirectMessage(env, subscription, {
+      embeds: [{
+        title: notice.title,
+        url: DASHBOARD_URL,
+        description: notice.description,
+        color: notice.color,
+        footer: { text: notice.footer },
+        timestamp: new Date().toISOString()
+      }]
+    });
+    return { dmChannelId };
+  }
+  await sendEmail(env, [subscription.email], {
+    subject: notice.title.replace(/^\W+/u, ''),
+    text: [toPlainText(notice.description), `Dashboard: ${DASHBOARD_URL}`, notice.footer].join('\n\n'),
+    html: [
+      `<h2><a href="${escapeHtmlAttr(DASHBOARD_URL)}">${toHtml(notice.title)}</a></h2>`,
+      ...notice.description.split('\n\n').map(p => `<p>${toHtml(p)}</p>`),
+      `<p><small>${toHtml(notice.footer)}</small></p>`
+    ].join('\n')
+  });
+  return {};
+}
+
+const NOTICE_FOOTER = 'You opted in to these reminders on the VATPAC audit dashboard, where you can also turn them off.';
+
+// The personal version of a visiting audit row: hours, requirement and deadline.
+function buildControllerNotice(record) {
+  const required = record.loa?.hoursRequired ?? POLICY.visitingHoursRequired;
+  const deadline = `<t:${Math.floor(Date.parse(record.neededBy) / 1000)}:D>`;
+  const paragraphs = [
+    `You have logged **${record.hoursLogged ?? 0}h** on VATPAC positions in the last ${POLICY.monthsLookback} months. ` +
+      `Visiting controllers need **${required}h**${record.loa ? ` (reduced for ${record.loa.days} days of leave)` : ''}.`,
+    record.status === 'flagged'
+      ? `You are below the requirement. Log **${record.hoursNeeded ?? '?'}h** by ${deadline} to become current again.`
+      : `You are current until ${deadline}, when older sessions leave the window. Log **${record.hoursNeeded ?? '?'}h** by then to stay current.`
+  ];
+  if ((record.classShortfalls || []).length) {
+    paragraphs.push(`Still needed on particular positions: ${record.classShortfalls.map(c => `${c.positionClass} ${c.logged}/${c.required}h`).join(', ')}.`);
+  }
+  return {
+    title: record.status === 'flagged'
+      ? '\u26a0\ufe0f Your VATPAC visiting hours are below the requirement'
+      : '\u23f3 Your VATPAC visiting currency is about to lapse',
+    description: paragraphs.join('\n\n'),
+    color: record.status === 'flagged' ? ALERT_COLOR : NOTICE_COLOR,
+    footer: NOTICE_FOOTER
+  };
+}
+
+// Runs after the daily audit. Subscribers no longer flagged or at risk are reset
+// so their next lapse is announced straight away.
+async function sendControllerNotices(env, store, now = Date.now()) {
+  const subscriptions = await loadNoticeSubscriptions(env);
+  if (Object.keys(subscriptions).length === 0) return { sent: 0, failed: 0, deferred: 0 };
+
+  const methods = getNoticeMethods(env);
+  const updates = {};
+  const due = [];
+  for (const record of store.visiting || []) {
+    const cid = record.id.replace('audit_', '');
+    const subscription = subscriptions[cid];
+    if (!subscription) continue;
+    // Excluded controllers (leave, staff) are not chased
+    if (!NOTICE_STATUSES.includes(record.status) || record.excluded || !record.neededBy) {
+      if (subscription.lastNotice) updates[cid] = { lastNotice: null };
+      continue;
+    }
+    if (!methods.includes(subscription.method)) continue;
+    const last = subscription.lastNotice;
+    if (last?.status === record.status && now - Date.parse(last.sentAt) < NOTICE_REPEAT_DAYS * DAY_MS) continue;
+    due.push({ cid, subscription, record });
+  }
+
+  // Whoever has waited longest goes first
+  due.sort((a, b) => (a.subscription.lastNotice?.sentAt || '').localeCompare(b.subscription.lastNotice?.sentAt || ''));
+  let sent = 0;
+  let failed = 0;
+  for (const { cid, subscription, record } of due.slice(0, NOTICE_MAX_PER_RUN)) {
+    try {
+      const changes = await sendControllerNotice(env, subscription, buildControllerNotice(record));
+      updates[cid] = { ...changes, lastNotice: { status: record.status, sentAt: new Date(now).toISOString() }, lastError: null };
+      sent++;
+    } catch (err) {
+      logger.error('Controller notice failed', err, { cid, method: subscription.method });
+      updates[cid] = { lastError: { at: new Date(now).toISOString(), error: err.message } };
+      failed++;
+    }
   }
 
-  // Apply cached data to all flagged records
-  let enriched = 0;
-  for (const record of flagged) {
-    const cid = record.id.replace('audit_', '');
-    const cached = vatsimCache[cid];
-    if (cached) {
-      record.lastSessionVatsim = cached.lastSession;
-      record.lastCallsign = cached.lastCallsign;
-      enriched++;
+  if (Object.keys(updates).length > 0) {
+    // Re-read so an opt-out or change made while notices were sending is kept
+    const latest = await loadNoticeSubscriptions(env);
+    for (const [cid, changes] of Object.entries(updates)) {
+      if (latest[cid]?.optedInAt !== subscriptions[cid].optedInAt) continue;
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) delete latest[cid][key];
+        else latest[cid][key] = value;
+      }
     }
+    await saveNoticeSubscriptions(env, latest);
   }
 
-  // Save enriched store
-  await saveStore(env, store);
+  const result = { sent, failed, deferred: Math.max(0, due.length - NOTICE_MAX_PER_RUN) };
+  logger.info('Controller notices sent', result);
+  return result;
+}
 
-  const remaining = needsLookup.length - toFetch.length;
-  const stats = {
-    totalFlagged: flagged.length,
-    alreadyCached: flagged.length - needsLookup.length,
-    attempted: toFetch.length,
-    succeeded: toFetch.length > 0 ? (toFetch.length - rateLimited) : 0,
-    failed: rateLimited,
-    sampleFailures: failures.slice(0, 5),
-    enrichedFromCache: enriched,
-    remaining: remaining > 0 ? remaining : 0
+// ==================== Digest Reports ====================
+// A weekly summary (the seven days before a Monday) and a monthly one (the previous
+// calendar month, for the division staff meeting): who became flagged or current,
+// hours on VATPAC positions, the busiest positions and repeat live violators.
+// Both go to channels routed for 'digest' on the first cron tick after that day's
+// audit, and are served as a printable page by GET /api/digest.
+
+const DIGEST_PERIODS = ['weekly', 'monthly'];
+const DIGEST_SENT_KV_KEY = 'digest_last_sent';
+const DIGEST_TOP_POSITIONS = 10;
+const DIGEST_TOP_VIOLATORS = 10;
+// Links in the posted digest open the page without signing in for this long
+const DIGEST_LINK_TTL_DAYS = 45;
+
+// [from, to) as UTC dates. Weekly ends at the Monday on or before `date`, monthly at
+// the first of its month.
+function getDigestPeriod(period, date = new Date()) {
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'weekly') {
+    end.setUTCDate(end.getUTCDate() - ((end.getUTCDay() + 6) % 7));
+    const start = new Date(end.getTime() - 7 * DAY_MS);
+    return { period, from: snapshotDateKey(start), to: snapshotDateKey(end) };
+  }
+  end.setUTCDate(1);
+  const start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, 1));
+  return { period, from: snapshotDateKey(start), to: snapshotDateKey(end) };
+}
+
+// Sessions are counted in the window they started in, as the monthly chart does.
+function summariseSessionHours(statSimData, fromMs, toMs) {
+  const positions = new Map();
+  const controllers = new Set();
+  let minutes = 0;
+  let sessions = 0;
+  for (const [callsign, list] of statSimData?.sessionsMap || []) {
+    for (const session of list) {
+      const startMs = Date.parse(session.loggedOn || session.start);
+      const endMs = Date.parse(session.loggedOff || session.end);
+      if (!(startMs >= fromMs && startMs < toMs) || !(endMs > startMs)) continue;
+      const m = (endMs - startMs) / 60000;
+      const position = positions.get(callsign) || { callsign, minutes: 0, sessions: 0 };
+      position.minutes += m;
+      position.sessions++;
+      positions.set(callsign, position);
+      controllers.add(String(session.vatsimid || session.cid || ''));
+      minutes += m;
+      sessions++;
+    }
+  }
+  return {
+    hours: Math.round(minutes / 6) / 10,
+    sessions,
+    controllers: controllers.size,
+    positions: [...positions.values()]
+      .sort((a, b) => b.minutes - a.minutes)
+      .slice(0, DIGEST_TOP_POSITIONS)
+      .map(p => ({ callsign: p.callsign, hours: Math.round(p.minutes / 6) / 10, sessions: p.sessions }))
   };
-  logger.info('VATSIM enrichment complete', stats);
-  return stats;
 }
 
-// ==================== Discord Notifications ====================
+// Live-check incidents first seen in the window, grouped by controller. Archived
+// ones are read from key metadata alone, newest first, so the scan stops at `from`.
+async function countViolationsByCid(env, fromIso, toIso) {
+  const incidents = Object.values(await loadOpenViolations(env))
+    .filter(i => i.firstSeen >= fromIso && i.firstSeen < toIso)
+    .map(i => ({ cid: i.cid, type: i.type }));
+  let cursor;
+  let scanned = 0;
+  scan: while (scanned < AUDIT_LOG_MAX_SCAN) {
+    const page = await env.hours.list({ prefix: VIOLATION_LOG_PREFIX, cursor, limit: 1000 });
+    for (const key of page.keys) {
+      scanned++;
+      const meta = key.metadata;
+      if (!meta?.firstSeen || meta.firstSeen >= toIso) continue;
+      if (meta.firstSeen < fromIso) break scan;
+      incidents.push({ cid: meta.cid, type: meta.type });
+    }
+    if (page.list_complete) break;
+    cursor = page.cursor;
+  }
 
-async function sendDiscordAuditAlert(env, store) {
-  const webhookUrl = env.DISCORD_WEBHOOK_URL;
-  if (!webhookUrl) {
-    logger.warn('DISCORD_WEBHOOK_URL not configured — skipping notification');
-    return;
+  const byCid = new Map();
+  for (const { cid, type } of incidents) {
+    const entry = byCid.get(cid) || { cid, incidents: 0, types: {} };
+    entry.incidents++;
+    entry.types[type] = (entry.types[type] || 0) + 1;
+    byCid.set(cid, entry);
   }
+  return { total: incidents.length, byCid: [...byCid.values()] };
+}
 
-  // Muted controllers are skipped for under-hours pings only
-  const excludedCids = new Set(Object.keys(await loadExclusions(env)));
-  const visitingFlagged = (store.visiting || []).filter(
-    r => r.status === 'flagged' && !excludedCids.has(r.id.replace('audit_', ''))
-  );
-  const localNonDivision = (store.local || []).filter(
-    r => r.status === 'not-division-member'
-  );
+// The latest snapshot taken on or before `date`
+function findSnapshotOnOrBefore(index, date) {
+  return [...index].reverse().find(e => e.date <= date)?.date || null;
+}
 
-  if (visitingFlagged.length === 0 && localNonDivision.length === 0) {
-    logger.info('No flagged controllers — skipping Discord notification');
-    return;
+async function buildDigest(env, { period, from, to }) {
+  const fromMs = Date.parse(from);
+  const toMs = Date.parse(to);
+  const index = await loadSnapshotIndex(env);
+  // The start snapshot may predate history; the earliest one in the window stands in
+  const fromDate = findSnapshotOnOrBefore(index, from) || index.find(e => e.date >= from && e.date <= to)?.date || null;
+  const toDate = findSnapshotOnOrBefore(index, to);
+  const [fromSnapshot, toSnapshot, statSimData, violations] = await Promise.all([
+    fromDate ? loadAuditSnapshot(env, fromDate) : null,
+    toDate ? loadAuditSnapshot(env, toDate) : null,
+    loadStatSimSessions(env),
+    countViolationsByCid(env, new Date(fromMs).toISOString(), new Date(toMs).toISOString())
+  ]);
+
+  const diff = fromSnapshot && toSnapshot && fromDate !== toDate ? diffAuditSnapshots(fromSnapshot, toSnapshot) : null;
+  const audit = {};
+  for (const type of ['visiting', 'local']) {
+    const records = toSnapshot?.[type] || [];
+    audit[type] = {
+      total: records.length,
+      flagged: records.filter(r => r.flagged && !r.excluded).length,
+      // Excluded controllers are not chased, so their lapse is not news
+      newlyFlagged: (diff?.[type].newlyFlagged || []).filter(r => !r.excluded).map(r => ({ cid: r.cid, status: r.status, hoursLogged: r.hoursLogged })),
+      cleared: (diff?.[type].newlyPassed || []).map(r => ({ cid: r.cid, status: r.status, hoursLogged: r.hoursLogged })),
+      leftRoster: (diff?.[type].removed || []).length
+    };
   }
 
-  const embed = {
-    title: '\u26a0\ufe0f VATPAC Controller Audit Alert',
-    color: 0xff4444,
-    timestamp: new Date().toISOString(),
-    fields: []
+  const hours = summariseSessionHours(statSimData, fromMs, toMs);
+  const previous = summariseSessionHours(statSimData, fromMs - (toMs - fromMs), fromMs);
+  return {
+    period,
+    from,
+    to,
+    generatedAt: new Date().toISOString(),
+    snapshots: { from: diff ? fromDate : null, to: toDate },
+    audit,
+    hours: { ...hours, previousHours: previous.hours },
+    violations: {
+      total: violations.total,
+      controllers: violations.byCid.length,
+      repeat: violations.byCid
+        .filter(v => v.incidents > 1)
+        .sort((a, b) => b.incidents - a.incidents || a.cid.localeCompare(b.cid))
+        .slice(0, DIGEST_TOP_VIOLATORS)
+    }
   };
+}
 
-  if (visitingFlagged.length > 0) {
-    const lines = visitingFlagged.map(r => {
-      const hrs = r.hoursLogged ?? 0;
-      const lastDate = r.lastSessionVatsim
-        ? new Date(r.lastSessionVatsim).toISOString().split('T')[0]
-        : 'N/A';
-      const callsign = r.lastCallsign ? ` (${r.lastCallsign})` : '';
-      return `\u2022 **${r.id.replace('audit_', '')}** — ${hrs}h / ${VISITING_HOURS_REQUIRED}h | Last: ${lastDate}${callsign}`;
-    });
-    // Discord field value max is 1024 chars — chunk if needed
-    const chunk = lines.join('\n').slice(0, 1024);
-    embed.fields.push({
-      name: `Visiting Below Hours (${visitingFlagged.length})`,
-      value: chunk || 'None',
-      inline: false
-    });
-  }
+const DIGEST_TITLES = { weekly: 'Weekly digest', monthly: 'Monthly digest' };
 
-  if (localNonDivision.length > 0) {
-    const lines = localNonDivision.map(r => {
-      return `\u2022 **${r.id.replace('audit_', '')}** — Division: ${r.division || 'unknown'}`;
-    });
-    const chunk = lines.join('\n').slice(0, 1024);
-    embed.fields.push({
-      name: `Local — Not Division Member (${localNonDivision.length})`,
-      value: chunk || 'None',
-      inline: false
-    });
+// `to` is exclusive; people read ranges inclusively.
+function formatDigestRange(digest) {
+  const last = snapshotDateKey(new Date(Date.parse(digest.to) - DAY_MS));
+  return digest.period === 'monthly'
+    ? new Date(Date.parse(digest.from)).toLocaleDateString('en-AU', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    : `${digest.from} to ${last}`;
+}
+
+function formatHoursChange(hours, previousHours) {
+  if (!previousHours) return '';
+  const change = Math.round((hours - previousHours) / previousHours * 100);
+  return ` (${change >= 0 ? '+' : ''}${change}% on the period before)`;
+}
+
+// Transport-neutral sections shared by the posted digest and the page
+function buildDigestSections(digest) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const sections = [];
+  const { visiting, local } = digest.audit;
+  const changes = [
+    ...visiting.newlyFlagged.map(r => `• **${r.cid}** visiting — now ${r.status} (${r.hoursLogged ?? 0}h)`),
+    ...local.newlyFlagged.map(r => `• **${r.cid}** local — now ${r.status}`)
+  ];
+  const cleared = [
+    ...visiting.cleared.map(r => `• **${r.cid}** visiting — ${r.hoursLogged ?? 0}h`),
+    ...local.cleared.map(r => `• **${r.cid}** local`)
+  ];
+  sections.push({ name: `Newly Flagged (${changes.length})`, lines: changes.length ? changes : ['None'] });
+  sections.push({ name: `Cleared (${cleared.length})`, lines: cleared.length ? cleared : ['None'] });
+  sections.push({
+    name: `Top Positions (${digest.hours.positions.length})`,
+    lines: digest.hours.positions.length
+      ? digest.hours.positions.map((p, i) => `${i + 1}. \`${p.callsign}\` — ${p.hours}h over ${plural(p.sessions, 'session')}`)
+      : ['No sessions recorded']
+  });
+  const repeat = digest.violations.repeat;
+  sections.push({
+    name: `Repeat Live Violators (${repeat.length})`,
+    lines: repeat.length
+      ? repeat.map(v => `• **${v.cid}** — ${v.incidents} incidents (${Object.entries(v.types).map(([type, n]) => `${type} ${n}`).join(', ')})`)
+      : ['None']
+  });
+  return sections;
+}
+
+function buildDigestSummary(digest) {
+  const { visiting, local } = digest.audit;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const left = visiting.leftRoster + local.leftRoster;
+  return [
+    `**${digest.hours.hours}h** controlled on VATPAC positions across ${plural(digest.hours.sessions, 'session')} by ${plural(digest.hours.controllers, 'controller')}${formatHoursChange(digest.hours.hours, digest.hours.previousHours)}.`,
+    `Flagged now: **${visiting.flagged}** of ${visiting.total} visiting, **${local.flagged}** of ${local.total} local${left ? `; ${left} left the roster` : ''}.`,
+    `${plural(digest.violations.total, 'live-check incident')} involving ${plural(digest.violations.controllers, 'controller')}.`,
+    digest.snapshots.from ? null : 'No audit snapshot covers the start of this period, so flagged and cleared lists are empty.'
+  ].filter(Boolean).join('\n');
+}
+
+async function getDigestLink(env, digest) {
+  const url = new URL(`${WORKER_URL}/api/digest`);
+  url.searchParams.set('period', digest.period);
+  url.searchParams.set('end', digest.to);
+  url.searchParams.set('format', 'html');
+  if (env.AUTH_SECRET) {
+    url.searchParams.set('sig', await signToken({
+      typ: 'digest',
+      period: digest.period,
+      end: digest.to,
+      exp: Math.floor(Date.now() / 1000) + DIGEST_LINK_TTL_DAYS * 86400
+    }, env.AUTH_SECRET));
   }
+  return url.toString();
+}
 
-  const body = {
-    content: `<@&${DISCORD_ROLE_ID}> Daily audit completed with flagged controllers.`,
-    embeds: [embed]
-  };
+function renderDigestHtml(digest) {
+  const title = `VATPAC ${DIGEST_TITLES[digest.period]} — ${formatDigestRange(digest)}`;
+  const sections = buildDigestSections(digest).map(s => {
+    const numbered = /^\d+\. /.test(s.lines[0]);
+    const items = s.lines.map(l => `<li>${toHtml(l.replace(/^(•|\d+\.)\s*/, ''))}</li>`).join('');
+    return `<section><h2>${escapeHtmlAttr(s.name)}</h2>${numbered ? `<ol>${items}</ol>` : `<ul>${items}</ul>`}</section>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><title>${escapeHtmlAttr(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1a1a1a; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; margin-top: 1.5rem; }
+  .meta { color: #666; font-size: 0.85rem; }
+  section { break-inside: avoid; }
+  @page { size: A4; margin: 15mm; }
+  @media print { body { margin: 0; max-width: none; } .no-print { display: none; } }
+</style></head>
+<body>
+  <h1>${escapeHtmlAttr(title)}</h1>
+  <p class="meta">Generated ${escapeHtmlAttr(formatUnixUtc(Math.floor(Date.parse(digest.generatedAt) / 1000)))}${digest.snapshots.from ? ` · audits of ${escapeHtmlAttr(digest.snapshots.from)} and ${escapeHtmlAttr(digest.snapshots.to)}` : ''}</p>
+  <p class="no-print meta">Print or save as PDF from your browser for the meeting pack.</p>
+  ${buildDigestSummary(digest).split('\n').map(l => `<p>${toHtml(l)}</p>`).join('\n  ')}
+  ${sections}
+</body></html>`;
+}
 
-  try {
-    const resp = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const text = await resp.text();
-      logger.error('Discord webhook failed', null, { status: resp.status, body: text });
-    } else {
-      logger.info('Discord notification sent', {
-        visitingFlagged: visitingFlagged.length,
-        localNonDivision: localNonDivision.length
-      });
+async function sendDigest(env, digest) {
+  const link = await getDigestLink(env, digest);
+  return notify(env, ['digest'], () => ({
+    title: `\u{1f4ca} VATPAC ${DIGEST_TITLES[digest.period]} — ${formatDigestRange(digest)}`,
+    url: link,
+    description: `${buildDigestSummary(digest)}\n\n[Printable report](${link})`,
+    color: CURRENT_COLOR,
+    timestamp: digest.generatedAt,
+    sections: buildDigestSections(digest)
+  }));
+}
+
+// Sends each period's digest once, after the audit on the day it ends has run
+// (its snapshot is the end-of-period state).
+async function sendDueDigests(env, now = new Date()) {
+  const sent = (await env.hours.get(DIGEST_SENT_KV_KEY, { type: 'json' }).catch(() => null)) || {};
+  const index = await loadSnapshotIndex(env);
+  const results = {};
+  for (const period of DIGEST_PERIODS) {
+    const range = getDigestPeriod(period, now);
+    if (sent[period] === range.to || !index.some(e => e.date >= range.to)) continue;
+    // Recorded straight after sending, so a later failure cannot send this one again next tick
+    try {
+      const digest = await buildDigest(env, range);
+      const delivered = await sendDigest(env, digest);
+      sent[period] = range.to;
+      await env.hours.put(DIGEST_SENT_KV_KEY, JSON.stringify(sent));
+      results[period] = { to: range.to, channels: delivered.map(r => `${r.channel}:${r.ok ? 'ok' : 'failed'}`) };
+    } catch (err) {
+      logger.error('Digest failed', err, { period, to: range.to });
+      results[period] = { to: range.to, error: err.message };
     }
-  } catch (err) {
-    logger.error('Discord webhook request error', err);
   }
+  if (Object.keys(results).length) logger.info('Digests sent', results);
+  return results;
 }
 
 // ==================== Live VATSIM Rating Check ====================
@@ -1478,7 +5111,7 @@ async function checkLiveVatsimData(env) {
     });
     if (!response.ok) {
       logger.error('Failed to fetch VATSIM data', null, { status: response.status });
-      return { ratingViolations: [], atisViolations: [], endorsementViolations: [], rosterViolations: [], skipped: true, reason: `VATSIM data fetch failed (HTTP ${response.status})` };
+      return { ratingViolations: [], atisViolations: [], endorsementViolations: [], rosterViolations: [], online: [], evaluated: [], skipped: true, reason: `VATSIM data fetch failed (HTTP ${response.status})` };
     }
 
     const vatsimData = await response.json();
@@ -1497,6 +5130,8 @@ async function checkLiveVatsimData(env) {
     const atisViolations = [];
     const endorsementViolations = [];
     const rosterViolations = [];
+    // Everyone on a VATPAC position, with what they hold against what it needs
+    const online = [];
 
     // Suspension presents as removal from the TMS roster rather than as a
     // downgraded endorsement status, so someone controlling a VATPAC position
@@ -1508,6 +5143,8 @@ async function checkLiveVatsimData(env) {
         required: MIN_ROSTER_SIZE_FOR_ABSENCE_CHECK
       });
     }
+    // The categories this run actually checked; only their incidents can clear
+    const evaluated = VIOLATION_TYPES.filter(type => type !== 'roster' || rosterTrustworthy);
     const now = Date.now();
     let otsExempt = 0;
 
@@ -1521,11 +5158,36 @@ async function checkLiveVatsimData(env) {
       if (!VATPAC_CALLSIGNS.has(callsign)) continue;
 
       const isOtsSession = hasOtsInControllerInfo(controller);
+      const isLocal = localCidSet.has(cid);
+      const minRating = getMinRatingForPosition(callsign);
+      const positionSku = getRequiredEndorsementSku(callsign);
       let ratingFlagged = false;
 
+      online.push({
+        cid,
+        callsign,
+        name: controller.name || null,
+        frequency: controller.frequency || null,
+        rating,
+        ratingShort: RATING_MAP[rating] || `R${rating}`,
+        requiredRating: minRating,
+        requiredRatingShort: RATING_MAP[minRating] || `R${minRating}`,
+        local: isLocal,
+        onRoster: rosterTrustworthy ? endorsementMap.has(cid) : null,
+        // Visiting controllers are never endorsement-checked, so report nothing for them
+        requiredEndorsement: isLocal ? positionSku : null,
+        endorsementStatus: isLocal ? getEndorsementState(endorsementsByCid, cid, positionSku, now) : null,
+        soloExpiry: isLocal && positionSku ? getSoloExpiry(endorsementsByCid, cid, positionSku) : null,
+        ratingSolo: isLocal && rating < minRating
+          && (hasValidEnrSoloEndorsement(endorsementsByCid, cid, callsign, now)
+            || hasValidTmaSoloEndorsement(endorsementsByCid, cid, callsign, now)),
+        ots: isOtsSession,
+        logonTime: controller.logon_time || null,
+        violations: []
+      });
+
       // Rating check — local controllers only
-      if (localCidSet.has(cid)) {
-        const minRating = getMinRatingForPosition(callsign);
+      if (isLocal) {
         const hasEnrSolo = hasValidEnrSoloEndorsement(endorsementsByCid, cid, callsign, now);
         const hasTmaSolo = hasValidTmaSoloEndorsement(endorsementsByCid, cid, callsign, now);
         const isOts = isOtsSession;
@@ -1584,15 +5246,14 @@ async function checkLiveVatsimData(env) {
         // Position-specific endorsement (twr / tma / enr / procTwr / oca).
         // Skipped when the rating check already flagged them for this position,
         // and waived during a supervised OTS just like the rating requirement.
-        const requiredSku = getRequiredEndorsementSku(callsign);
-        if (requiredSku && !ratingFlagged && !isOtsSession
-            && !holdsEndorsement(endorsementsByCid, cid, requiredSku, now)) {
-          pushViolation(requiredSku);
+        if (positionSku && !ratingFlagged && !isOtsSession
+            && !holdsEndorsement(endorsementsByCid, cid, positionSku, now)) {
+          pushViolation(positionSku);
         }
       }
 
       // Endorsement check — any TMS user on a Sydney Complex position
-      if (SYD_COMPLEX_POSITIONS.has(callsign) && endorsementMap.has(cid)) {
+      if (POLICY.sydComplexPositions.has(callsign) && endorsementMap.has(cid)) {
         if (!endorsementMap.get(cid).has('sydTcu')) {
           endorsementViolations.push({
             cid,
@@ -1657,6 +5318,19 @@ async function checkLiveVatsimData(env) {
       }
     }
 
+    // Tag each online position with the violations found against it
+    const onlineByPosition = new Map(online.map(o => [`${o.cid}_${o.callsign}`, o]));
+    const tag = (list, type) => {
+      for (const v of list) onlineByPosition.get(`${v.cid}_${v.callsign}`)?.violations.push(type);
+    };
+    tag(ratingViolations, 'rating');
+    tag(endorsementViolations, 'endorsement');
+    tag(rosterViolations, 'roster');
+    for (const v of atisViolations) {
+      for (const o of online) if (o.cid === v.cid) o.violations.push('atis');
+    }
+    for (const o of online) o.violations = [...new Set(o.violations)];
+
     logger.info('Live VATSIM check complete', {
       controllersChecked: controllers.length,
       vatpacOnline: controllers.filter(c => VATPAC_CALLSIGNS.has(String(c.callsign || '').toUpperCase())).length,
@@ -1667,14 +5341,44 @@ async function checkLiveVatsimData(env) {
       otsExempt
     });
 
-    return { ratingViolations, atisViolations, endorsementViolations, rosterViolations };
+    return { ratingViolations, atisViolations, endorsementViolations, rosterViolations, online, evaluated };
 
   } catch (err) {
     // An upstream outage must not be reported as "no violations found" — that is
     // exactly how a missed alert looks in the logs.
     logger.error('Live VATSIM check failed — results are NOT a clean bill of health', err);
-    return { ratingViolations: [], atisViolations: [], endorsementViolations: [], rosterViolations: [], skipped: true, reason: err?.message || String(err) };
+    return { ratingViolations: [], atisViolations: [], endorsementViolations: [], rosterViolations: [], online: [], evaluated: [], skipped: true, reason: err?.message || String(err) };
+  }
+}
+
+// The dashboard polls the online view every minute per open tab; the VATSIM
+// feed only refreshes every 15s, so a short cache keeps fetches bounded.
+const LIVE_ONLINE_CACHE_TTL_MS = 30 * 1000;
+let LIVE_ONLINE_CACHE = null;
+let LIVE_ONLINE_CACHE_TS = 0;
+
+async function getLiveOnlineSnapshot(env) {
+  if (LIVE_ONLINE_CACHE && (Date.now() - LIVE_ONLINE_CACHE_TS) < LIVE_ONLINE_CACHE_TTL_MS) {
+    return LIVE_ONLINE_CACHE;
+  }
+
+  const { online, skipped, reason } = await checkLiveVatsimData(env);
+  if (skipped) return { error: 'VATSIM data unavailable', online: [], skipped: true, reason, fetchedAt: new Date().toISOString() };
+
+  // Show, rather than hide, controllers muted for a category
+  const exclusions = await loadExclusions(env);
+  const mutedScopes = EXCLUSION_SCOPES.filter(s => s.startsWith('live:'));
+  const mutedByScope = new Map(mutedScopes.map(scope => [scope, getExcludedCids(exclusions, scope)]));
+  for (const o of online) {
+    o.excludedFrom = mutedScopes.filter(scope => mutedByScope.get(scope).has(o.cid));
   }
+
+  LIVE_ONLINE_CACHE = {
+    online: online.sort((a, b) => b.violations.length - a.violations.length || a.callsign.localeCompare(b.callsign)),
+    fetchedAt: new Date().toISOString()
+  };
+  LIVE_ONLINE_CACHE_TS = Date.now();
+  return LIVE_ONLINE_CACHE;
 }
 
 // VATPAC brand assets (served from vatpac.org).
@@ -1719,40 +5423,22 @@ function chunkIntoFields(name, lines) {
   return fields;
 }
 
-async function sendLiveViolationAlert(env, ratingViolations, atisViolations, endorsementViolations = [], rosterViolations = []) {
-  const webhookUrl = env.DISCORD_WEBHOOK_URL;
-  if (!webhookUrl) {
-    logger.warn('DISCORD_WEBHOOK_URL not configured — skipping live violation alert');
-    return;
-  }
-
-  const totalIssues = ratingViolations.length + atisViolations.length
-    + endorsementViolations.length + rosterViolations.length;
-  if (totalIssues === 0) return;
-
-  const affectedCids = new Set([
-    ...ratingViolations.map(v => v.cid),
-    ...atisViolations.map(v => v.cid),
-    ...endorsementViolations.map(v => v.cid),
-    ...rosterViolations.map(v => v.cid)
-  ]);
+async function sendLiveViolationAlert(env, ratingViolations, atisViolations, endorsementViolations = [], rosterViolations = [], incidentIds = {}) {
+  const byCategory = {
+    roster: rosterViolations,
+    endorsement: endorsementViolations,
+    rating: ratingViolations,
+    atis: atisViolations
+  };
+  const present = Object.keys(byCategory).filter(c => byCategory[c].length > 0);
+  if (present.length === 0) return;
 
   const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
   const tick = '`';
 
-  const embed = {
-    title: '\u{1f6a8} Live Controller Violations',
-    url: VATPAC_SITE_URL,
-    description: `${plural(totalIssues, 'issue')} detected across ${plural(affectedCids.size, 'controller')} currently online.`,
-    color: ALERT_COLOR,
-    thumbnail: { url: VATPAC_LOGO_URL },
-    timestamp: new Date().toISOString(),
-    fields: [],
-    footer: { text: 'VATPAC Controller Audit • Live Check' }
-  };
-
   // Roster absence leads: it is the strongest signal and usually means the
   // member was suspended or removed rather than merely under-endorsed.
+  const sections = {};
   if (rosterViolations.length > 0) {
     const lines = rosterViolations.map(v => {
       const parts = [
@@ -1764,7 +5450,7 @@ async function sendLiveViolationAlert(env, ratingViolations, atisViolations, end
       if (on) parts.push(`Online since ${on}`);
       return parts.join(' · ');
     });
-    embed.fields.push(...chunkIntoFields(`\u{1f6d1} Not On Roster (${rosterViolations.length})`, lines));
+    sections.roster = { label: '\u{1f6d1} Not On Roster', lines };
   }
 
   // Endorsement issues next: a suspended endorsement is the most actionable finding.
@@ -1781,7 +5467,7 @@ async function sendLiveViolationAlert(env, ratingViolations, atisViolations, end
       if (on) parts.push(`Online since ${on}`);
       return parts.join(' · ');
     });
-    embed.fields.push(...chunkIntoFields(`\u{1f6ab} Missing Endorsement (${endorsementViolations.length})`, lines));
+    sections.endorsement = { label: '\u{1f6ab} Missing Endorsement', lines };
   }
 
   if (ratingViolations.length > 0) {
@@ -1794,7 +5480,7 @@ async function sendLiveViolationAlert(env, ratingViolations, atisViolations, end
       if (on) parts.push(`Online since ${on}`);
       return parts.join(' · ');
     });
-    embed.fields.push(...chunkIntoFields(`⚠️ Insufficient Rating (${ratingViolations.length})`, lines));
+    sections.rating = { label: '⚠️ Insufficient Rating', lines };
   }
 
   if (atisViolations.length > 0) {
@@ -1806,61 +5492,101 @@ async function sendLiveViolationAlert(env, ratingViolations, atisViolations, end
       if (v.controlCallsign) parts.push(`Controlling **${tick}${v.controlCallsign}${tick}**`);
       return parts.join(' · ');
     });
-    embed.fields.push(...chunkIntoFields(`\u{1f4e1} S1/S2 Multiple ATIS (${atisViolations.length})`, lines));
+    sections.atis = { label: '\u{1f4e1} S1/S2 Multiple ATIS', lines };
   }
 
-  // Discord allows at most 25 fields per embed.
-  if (embed.fields.length > 25) {
-    const dropped = embed.fields.length - 24;
-    embed.fields = embed.fields.slice(0, 24);
-    embed.fields.push({
-      name: '… And More',
-      value: `${dropped} further field(s) omitted — see ${tick}/api/live-check${tick} for the full list.`,
-      inline: false
+  // Each channel sees only the categories and positions routed to it, counts included
+  const results = await notify(env, present, (categories, routes) => {
+    const mentions = new Set();
+    const included = categories.flatMap(c => byCategory[c].map(v => ({ type: c, v }))).filter(({ v }) => {
+      if (!routes) return true;
+      // ATIS-only violations have no controlling position; route on the ATIS callsign
+      const matched = routes.filter(r => matchesCallsignRoute(r, v.callsign || v.controlCallsign || v.atisCallsigns?.[0]));
+      for (const r of matched) if (r.mention) mentions.add(r.mention);
+      return matched.length > 0;
     });
-  }
-
-  const body = {
-    content: `<@&${DISCORD_ROLE_ID}> **${plural(totalIssues, 'Live Controller Violation')}** Detected`,
-    embeds: [embed]
-  };
+    if (included.length === 0) return null;
+    const totalIssues = included.length;
+    const affectedCids = new Set(included.map(({ v }) => v.cid));
+    const includedViolations = new Set(included.map(({ v }) => v));
+    return {
+      headline: `**${plural(totalIssues, 'Live Controller Violation')}** Detected`,
+      ping: true,
+      mention: mentions.size ? [...mentions].join(' ') : null,
+      title: '\u{1f6a8} Live Controller Violations',
+      url: VATPAC_SITE_URL,
+      description: `${plural(totalIssues, 'issue')} detected across ${plural(affectedCids.size, 'controller')} currently online.`,
+      color: ALERT_COLOR,
+      thumbnail: VATPAC_LOGO_URL,
+      timestamp: new Date().toISOString(),
+      footer: 'VATPAC Controller Audit • Live Check',
+      sections: categories
+        .map(c => sections[c].lines.filter((_, i) => includedViolations.has(byCategory[c][i])))
+        .map((lines, i) => ({ name: `${sections[categories[i]].label} (${lines.length})`, lines }))
+        .filter(section => section.lines.length > 0),
+      incidents: included
+        .map(({ type, v }) => ({ type, cid: String(v.cid), callsign: v.callsign || v.controlCallsign || null, id: incidentIds[violationKey(type, v)] }))
+        .filter(i => i.id)
+    };
+  });
 
-  try {
-    const resp = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const text = await resp.text();
-      logger.error('Discord live violation webhook failed', null, { status: resp.status, body: text });
-    } else {
-      logger.info('Live violation Discord notification sent', {
-        ratingViolations: ratingViolations.length,
-        atisViolations: atisViolations.length,
-        endorsementViolations: endorsementViolations.length,
-        rosterViolations: rosterViolations.length
-      });
-    }
-  } catch (err) {
-    logger.error('Discord live violation webhook error', err);
-  }
+  logger.info('Live violation notification sent', {
+    ratingViolations: ratingViolations.length,
+    atisViolations: atisViolations.length,
+    endorsementViolations: endorsementViolations.length,
+    rosterViolations: rosterViolations.length,
+    channels: results.map(r => `${r.channel}:${r.ok ? 'ok' : 'failed'}`)
+  });
 }
 
 async function checkAndAlertLiveViolations(env) {
-  const { ratingViolations, atisViolations, endorsementViolations, rosterViolations = [], skipped, reason } = await checkLiveVatsimData(env);
+  let { ratingViolations, atisViolations, endorsementViolations, rosterViolations = [], online = [], evaluated, skipped, reason } = await checkLiveVatsimData(env);
 
   if (skipped) {
     logger.error('Live violation check could not run — upstream data unavailable', null, { reason });
     return { skipped: true, reason, ratingViolations: 0, atisViolations: 0, endorsementViolations: 0, newAlerts: 0, alerted: false };
   }
 
+  // History records everything detected, muted or not, and closes what has cleared
+  const exclusions = await loadExclusions(env);
+  const excludedByType = Object.fromEntries(VIOLATION_TYPES.map(type => [type, getExcludedCids(exclusions, `live:${type}`)]));
+  let history = null;
+  let suppressed = new Set();
+  let incidentIds = {};
+  try {
+    const { suppressedKeys, incidentIds: ids, ...counts } = await recordViolations(env, {
+      rating: ratingViolations,
+      atis: atisViolations,
+      endorsement: endorsementViolations,
+      roster: rosterViolations
+    }, { excludedByType, onlineCids: new Set(online.map(o => o.cid)), evaluated });
+    history = counts;
+    suppressed = new Set(suppressedKeys);
+    incidentIds = ids;
+  } catch (e) {
+    logger.error('Violation history update failed', e);
+  }
+
   if (ratingViolations.length === 0 && atisViolations.length === 0
       && endorsementViolations.length === 0 && rosterViolations.length === 0) {
     logger.info('No live violations detected');
-    return { ratingViolations: 0, atisViolations: 0, endorsementViolations: 0, rosterViolations: 0, newAlerts: 0, alerted: false };
+    return { ratingViolations: 0, atisViolations: 0, endorsementViolations: 0, rosterViolations: 0, newAlerts: 0, alerted: false, history };
   }
 
+  // Drop violations muted by an exclusion scoped to that live-check category
+  const notExcluded = (list, scope) => {
+    const cids = excludedByType[scope.replace('live:', '')];
+    return list.filter(v => !cids.has(String(v.cid)));
+  };
+  const totalBeforeExclusions = ratingViolations.length + atisViolations.length
+    + endorsementViolations.length + rosterViolations.length;
+  ratingViolations = notExcluded(ratingViolations, 'live:rating');
+  atisViolations = notExcluded(atisViolations, 'live:atis');
+  endorsementViolations = notExcluded(endorsementViolations, 'live:endorsement');
+  rosterViolations = notExcluded(rosterViolations, 'live:roster');
+  const excludedViolations = totalBeforeExclusions - (ratingViolations.length + atisViolations.length
+    + endorsementViolations.length + rosterViolations.length);
+
   // Load already-alerted violations from KV to avoid spamming
   let alerted = {};
   try {
@@ -1869,6 +5595,16 @@ async function checkAndAlertLiveViolations(env) {
 
   const now = Date.now();
 
+  // Incidents staff have acknowledged or resolved stay quiet for as long as they last
+  const acknowledgedViolations = [
+    ['rating', ratingViolations], ['atis', atisViolations],
+    ['endorsement', endorsementViolations], ['roster', rosterViolations]
+  ].reduce((n, [type, list]) => n + list.filter(v => suppressed.has(violationKey(type, v))).length, 0);
+  ratingViolations = ratingViolations.filter(v => !suppressed.has(violationKey('rating', v)));
+  atisViolations = atisViolations.filter(v => !suppressed.has(violationKey('atis', v)));
+  endorsementViolations = endorsementViolations.filter(v => !suppressed.has(violationKey('endorsement', v)));
+  rosterViolations = rosterViolations.filter(v => !suppressed.has(violationKey('roster', v)));
+
   // Filter out violations already alerted within the cooldown window
   const newRatingViolations = ratingViolations.filter(v => {
     const key = `rating_${v.cid}_${v.callsign}`;
@@ -1892,7 +5628,7 @@ async function checkAndAlertLiveViolations(env) {
 
   if (newRatingViolations.length > 0 || newAtisViolations.length > 0
       || newEndorsementViolations.length > 0 || newRosterViolations.length > 0) {
-    await sendLiveViolationAlert(env, newRatingViolations, newAtisViolations, newEndorsementViolations, newRosterViolations);
+    await sendLiveViolationAlert(env, newRatingViolations, newAtisViolations, newEndorsementViolations, newRosterViolations, incidentIds);
 
     // Mark as alerted
     for (const v of newRatingViolations) alerted[`rating_${v.cid}_${v.callsign}`] = now;
@@ -1913,13 +5649,399 @@ async function checkAndAlertLiveViolations(env) {
     atisViolations: atisViolations.length,
     endorsementViolations: endorsementViolations.length,
     rosterViolations: rosterViolations.length,
+    excludedViolations,
+    acknowledgedViolations,
     newAlerts: newRatingViolations.length + newAtisViolations.length
       + newEndorsementViolations.length + newRosterViolations.length,
     alerted: newRatingViolations.length > 0 || newAtisViolations.length > 0
-      || newEndorsementViolations.length > 0 || newRosterViolations.length > 0
+      || newEndorsementViolations.length > 0 || newRosterViolations.length > 0,
+    history
+  };
+}
+
+// ==================== Discord Interactions ====================
+// Discord POSTs button clicks and slash commands to /api/discord/interactions.
+// Every request is signed with the application's Ed25519 key; anything that fails
+// verification is rejected before the body is looked at.
+
+const DISCORD_INTERACTION = { PING: 1, COMMAND: 2, COMPONENT: 3 };
+const DISCORD_RESPONSE = { PONG: 1, MESSAGE: 4, DEFERRED_MESSAGE: 5, UPDATE_MESSAGE: 7 };
+const DISCORD_EPHEMERAL = 64;
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+// Command replies list this many controllers; the dashboard has the rest
+const DISCORD_COMMAND_LIST_LIMIT = 40;
+const CURRENT_COLOR = 0x2E7D32;
+// Discord allows five action rows per message; each incident gets one row
+const DISCORD_MAX_BUTTON_ROWS = 5;
+// Reject replays of a captured request
+const DISCORD_MAX_CLOCK_SKEW_S = 5 * 60;
+
+function hexToBytes(hex) {
+  const clean = String(hex || '');
+  if (!/^(?:[0-9a-f]{2})+$/i.test(clean)) return null;
+  return Uint8Array.from(clean.match(/../g), b => parseInt(b, 16));
+}
+
+// Returns the parsed interaction, or null if the signature does not check out.
+async function verifyDiscordRequest(request, env) {
+  const signature = hexToBytes(request.headers.get('X-Signature-Ed25519'));
+  const timestamp = request.headers.get('X-Signature-Timestamp') || '';
+  const publicKey = hexToBytes(env.DISCORD_PUBLIC_KEY);
+  if (!signature || !publicKey || !/^\d+$/.test(timestamp)) return null;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > DISCORD_MAX_CLOCK_SKEW_S) return null;
+
+  const body = await request.text();
+  try {
+    const key = await crypto.subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify']);
+    const valid = await crypto.subtle.verify('Ed25519', key, signature, textEncoder.encode(timestamp + body));
+    return valid ? JSON.parse(body) : null;
+  } catch (e) {
+    logger.warn('Discord signature verification failed', { error: e.message });
+    return null;
+  }
+}
+
+function discordResponse(payload) {
+  return new Response(JSON.stringify(payload), { headers: { 'Content-Type': 'application/json' } });
+}
+
+function discordEphemeral(content) {
+  return discordResponse({ type: DISCORD_RESPONSE.MESSAGE, data: { content, flags: DISCORD_EPHEMERAL } });
+}
+
+// The clicking member acts as staff if they hold one of DISCORD_STAFF_ROLE_IDS
+// (comma-separated), defaulting to the role the alerts ping.
+function getDiscordPrincipal(interaction, env) {
+  const member = interaction.member;
+  const user = member?.user || interaction.user;
+  if (!member || !user) return null;
+  const staffRoles = String(env.DISCORD_STAFF_ROLE_IDS || DISCORD_ROLE_ID).split(',').map(r => r.trim()).filter(Boolean);
+  if (!(member.roles || []).some(r => staffRoles.includes(r))) return null;
+  return { sub: `discord:${user.id}`, name: user.global_name || user.username || null, role: 'staff', keyId: null };
+}
+
+// One row per incident: Acknowledge / False positive / Exclude CID.
+// custom_id carries everything the click handler needs (max 100 chars).
+function buildViolationButtons(incidents) {
+  return incidents.slice(0, DISCORD_MAX_BUTTON_ROWS).map(i => ({
+    type: 1,
+    components: [
+      { type: 2, style: 1, label: `Acknowledge ${i.type} · ${i.callsign || i.cid}`.slice(0, 80), custom_id: `vio:ack:${i.id}` },
+      { type: 2, style: 2, label: 'False positive', custom_id: `vio:fp:${i.id}` },
+      { type: 2, style: 4, label: `Exclude ${i.cid}`, custom_id: `vio:exclude:${i.id}:${i.cid}:${i.type}` }
+    ]
+  }));
+}
+
+// Show who handled what on the alert itself and grey out that incident's row
+function markAlertHandled(message, customIdPrefix, line) {
+  const embeds = (message?.embeds || []).map(e => ({ ...e }));
+  if (embeds.length) {
+    const fields = [...(embeds[0].fields || [])];
+    const handled = fields.find(f => f.name === '\u2705 Handled');
+    if (handled) handled.value = `${handled.value}\n${line}`.slice(-1024);
+    else if (fields.length < 25) fields.push({ name: '\u2705 Handled', value: line, inline: false });
+    embeds[0].fields = fields;
+  }
+  const components = (message?.components || []).map(row => {
+    const owns = row.components.some(c => String(c.custom_id || '').includes(customIdPrefix));
+    return owns ? { ...row, components: row.components.map(c => ({ ...c, disabled: true })) } : row;
+  });
+  return discordResponse({ type: DISCORD_RESPONSE.UPDATE_MESSAGE, data: { embeds, components } });
+}
+
+async function handleDiscordComponent(interaction, env) {
+  const principal = getDiscordPrincipal(interaction, env);
+  if (!principal) return discordEphemeral('Only VATPAC staff can act on these alerts.');
+
+  const [scope, action, id, cid, type] = String(interaction.data?.custom_id || '').split(':');
+  if (scope !== 'vio' || !id) return discordEphemeral('Unknown button.');
+  const who = `<@${principal.sub.replace('discord:', '')}>`;
+
+  if (action === 'ack' || action === 'fp') {
+    const status = action === 'ack' ? 'acknowledged' : 'resolved';
+    const note = action === 'fp' ? 'False positive' : null;
+    const result = await updateViolationStatus(env, id, status, principal, note);
+    if (result.error) return discordEphemeral(result.error);
+    const incident = result.incident;
+    await recordStaffAction(env, principal, action === 'ack' ? 'violation.acknowledge' : 'violation.resolve', {
+      cid: incident.cid,
+      reason: note,
+      details: { id, type: incident.type, callsign: incident.callsign, via: 'discord' }
+    });
+    const label = `${incident.type} · ${incident.callsign || incident.cid}`;
+    return markAlertHandled(interaction.message, id,
+      action === 'ack' ? `Acknowledged ${label} — ${who}` : `False positive: ${label} — ${who}`);
+  }
+
+  if (action === 'exclude') {
+    if (!/^\d{3,10}$/.test(cid || '') || !VIOLATION_TYPES.includes(type)) return discordEphemeral('Unknown button.');
+    // Mute just the category that fired, on top of anything already excluded
+    // (a lapsed exclusion is started over rather than revived with its old expiry)
+    const stored = (await loadExclusions(env))[cid];
+    const existing = stored && isExclusionActive(stored) ? stored : null;
+    const parsed = parseExclusionInput({
+      reason: existing?.reason || 'other',
+      note: existing?.note || `Excluded from a Discord alert by ${principal.name || principal.sub}`,
+      expiresAt: existing?.expiresAt || null,
+      scope: [...new Set([...(existing?.scope || []), `live:${type}`])]
+    });
+    if (parsed.errors) return discordEphemeral(`Could not exclude ${cid}: ${parsed.errors.map(e => `${e.field} ${e.error}`).join('; ')}`);
+    await storeExclusion(env, principal, cid, parsed.exclusion);
+    return markAlertHandled(interaction.message, id, `Excluded ${cid} from ${type} alerts — ${who}`);
+  }
+
+  return discordEphemeral('Unknown button.');
+}
+
+// ---- Slash commands (definitions: scripts/register-discord-commands.js) ----
+
+function getCommandOptions(interaction) {
+  return Object.fromEntries((interaction.data?.options || []).map(o => [o.name, o.value]));
+}
+
+// Replaces the "thinking…" placeholder left by a deferred response
+async function editDiscordReply(interaction, data) {
+  const url = `${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+  try {
+    const resp = await fetch(url, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      // Names in the reply come from VATSIM/TMS; never let them ping anyone
+      body: JSON.stringify({ allowed_mentions: { parse: [] }, ...data })
+    });
+    if (!resp.ok) logger.error('Discord reply edit failed', null, { status: resp.status, body: await resp.text() });
+  } catch (err) {
+    logger.error('Discord reply edit request error', err);
+  }
+}
+
+function listWithOverflow(name, lines) {
+  const fields = chunkIntoFields(name, lines.slice(0, DISCORD_COMMAND_LIST_LIMIT));
+  if (lines.length > DISCORD_COMMAND_LIST_LIMIT) {
+    fields.push({ name: '\u200b', value: `…and ${lines.length - DISCORD_COMMAND_LIST_LIMIT} more on the [dashboard](${DASHBOARD_URL})`, inline: false });
+  }
+  return fields;
+}
+
+async function runCurrencyCommand(env, cid) {
+  const [statSimData, allLoas, exclusions] = await Promise.all([
+    loadStatSimSessions(env),
+    loadLoas(env),
+    loadExclusions(env)
+  ]);
+  if (!statSimData) return { content: 'StatSim session data is unavailable right now — try again shortly.' };
+
+  // Hours are still worth showing if TMS is down
+  let tmsUser = null;
+  let tmsError = null;
+  try {
+    tmsUser = await getTMSUser(cid, env);
+  } catch (e) {
+    tmsError = e.message;
+  }
+
+  const loas = groupLoasByCid(allLoas).get(cid) || [];
+  const rating = tmsUser?.rating?.short || null;
+  const visiting = evaluateCurrency(cid, statSimData, false, { rating, loas });
+  const local = evaluateCurrency(cid, statSimData, true, { loas });
+  const visitingUntil = visiting.passed ? projectCurrencyLapse(cid, statSimData, false, { rating, loas }) : null;
+  const localUntil = local.passed ? projectCurrencyLapse(cid, statSimData, true, { loas }) : null;
+  const mark = (passed, until) => (!passed ? '\u274c' : until ? '\u26a0\ufe0f' : '\u2705');
+  const untilLine = (until) => (until ? `\nCurrent until <t:${Math.floor(Date.parse(until) / 1000)}:D>` : '');
+
+  const required = Math.round(POLICY.visitingHoursRequired * visiting.adjustment.factor * 10) / 10;
+  const hours = Math.round((visiting.data?.hours || 0) * 10) / 10;
+  const lastLocal = local.data?.lastSessionWithinPeriod;
+  const scope = tmsUser ? (tmsIsLocal(tmsUser) ? 'Local' : tmsIsVisiting(tmsUser) ? 'Visiting' : null) : null;
+  const description = tmsError
+    ? `TMS unavailable: ${tmsError}`
+    : tmsUser
+      ? [tmsUser.rating?.short, String(tmsUser.division?.id || '').toUpperCase(), scope].filter(Boolean).join(' · ')
+      : 'Not on the VATPAC roster';
+
+  const fields = [
+    {
+      name: `${mark(visiting.passed, visitingUntil)} Visiting`,
+      value: `${hours}h / ${required}h in ${POLICY.monthsLookback} months`
+        + (visiting.adjustment.loaDays ? ` (${visiting.adjustment.loaDays}d LOA)` : '')
+        + untilLine(visitingUntil),
+      inline: true
+    },
+    {
+      name: `${mark(local.passed, localUntil)} Local`,
+      value: (lastLocal
+        ? `Last session ${discordRelativeTime(lastLocal)}`
+        : `No session in ${POLICY.localMonthsRequired} months`) + untilLine(localUntil),
+      inline: true
+    }
+  ];
+
+  const exclusion = exclusions[cid];
+  if (exclusion && isExclusionActive(exclusion)) {
+    fields.push({
+      name: '\ud83d\udd15 Excluded',
+      value: `${EXCLUSION_REASONS[exclusion.reason] || 'No reason'}${exclusion.note ? ` — ${exclusion.note}` : ''}`
+        + `${exclusion.expiresAt ? ` until <t:${Math.floor(Date.parse(exclusion.expiresAt) / 1000)}:D>` : ''} · ${exclusion.scope.join(', ')}`,
+      inline: false
+    });
+  }
+
+  return {
+    embeds: [{
+      title: `Currency — ${cid}`,
+      url: vatsimStatsUrl(cid),
+      description,
+      // Coloured by the requirement that applies to them (visiting if unknown)
+      color: (scope === 'Local' ? local : visiting).passed ? CURRENT_COLOR : ALERT_COLOR,
+      fields,
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
+
+async function runOnlineCommand(env) {
+  const snapshot = await getLiveOnlineSnapshot(env);
+  if (snapshot.skipped) return { content: 'VATSIM data is unavailable right now — try again shortly.' };
+  const { online } = snapshot;
+  if (!online.length) return { content: 'Nobody is on a VATPAC position right now.' };
+
+  const lines = online.map(o => {
+    const issues = o.violations.map(type => (o.excludedFrom.includes(`live:${type}`) ? `${type} (muted)` : type));
+    return `${o.violations.length ? '\u26a0\ufe0f' : '\u2705'} **${o.callsign}** — ${o.cid}${o.name ? ` ${o.name}` : ''} (${o.ratingShort})`
+      + (issues.length ? ` · ${issues.join(', ')}` : '');
+  });
+  const withIssues = online.filter(o => o.violations.length).length;
+  return {
+    embeds: [{
+      title: `Online on VATPAC positions (${online.length})`,
+      description: `${withIssues} with issues`,
+      color: withIssues ? ALERT_COLOR : CURRENT_COLOR,
+      fields: listWithOverflow('Controllers', lines),
+      timestamp: snapshot.fetchedAt
+    }]
+  };
+}
+
+async function runFlaggedCommand(env, type) {
+  const store = await loadStore(env);
+  const flagged = (store[type] || []).filter(r => r.flagged && !r.excluded);
+  const lastRun = store.lastRun ? `Audit ran ${discordRelativeTime(store.lastRun)}` : 'The audit has not run yet';
+  if (!flagged.length) return { content: `No flagged ${type} controllers. ${lastRun}.` };
+
+  const lines = flagged.map(r => {
+    const cid = r.id.replace('audit_', '');
+    if (r.status === 'not-division-member') return `\u2022 **${cid}** — Division: ${r.division || 'unknown'}`;
+    const last = r.lastSession ? r.lastSession.split('T')[0] : 'never';
+    if (type === 'local') return `\u2022 **${cid}** — Last session: ${last}`;
+    const required = r.loa?.hoursRequired ?? POLICY.visitingHoursRequired;
+    const needed = r.neededBy ? ` | Needs ${r.hoursNeeded}h by ${r.neededBy.split('T')[0]}` : '';
+    return `\u2022 **${cid}** — ${r.hoursLogged ?? 0}h / ${required}h | Last: ${last}${needed}`;
+  });
+  return {
+    embeds: [{
+      title: `Flagged ${type} controllers (${flagged.length})`,
+      url: DASHBOARD_URL,
+      description: lastRun,
+      color: ALERT_COLOR,
+      fields: listWithOverflow(type === 'visiting' ? 'Visiting Below Hours' : 'Local', lines)
+    }]
   };
 }
 
+// Runs straight away (no deferral): it is a couple of KV writes
+async function runExcludeCommand(interaction, env, principal) {
+  const { cid, reason, note, expires } = getCommandOptions(interaction);
+  const cidStr = String(cid || '').trim();
+  if (!/^\d{3,10}$/.test(cidStr)) return discordEphemeral('Invalid CID.');
+
+  // Mutes the daily audits, keeping any live-check categories already muted
+  const current = (await loadExclusions(env))[cidStr];
+  const existing = current && isExclusionActive(current) ? current : null;
+  const parsed = parseExclusionInput({
+    reason,
+    note,
+    expiresAt: expires || null,
+    scope: [...new Set([...(existing?.scope || []), ...LEGACY_EXCLUSION_SCOPE])]
+  });
+  if (parsed.errors) {
+    return discordEphemeral(`Could not exclude ${cidStr}: ${parsed.errors.map(e => `${e.field} ${e.error}`).join('; ')}`);
+  }
+
+  const stored = await storeExclusion(env, principal, cidStr, parsed.exclusion);
+  const until = stored.expiresAt ? ` until <t:${Math.floor(Date.parse(stored.expiresAt) / 1000)}:D>` : '';
+  return discordResponse({
+    type: DISCORD_RESPONSE.MESSAGE,
+    data: {
+      content: `\ud83d\udd15 ${existing ? 'Updated exclusion for' : 'Excluded'} **${cidStr}** (${EXCLUSION_REASONS[stored.reason]}`
+        + `${stored.note ? ` — ${stored.note}` : ''})${until} · ${stored.scope.join(', ')} — <@${principal.sub.replace('discord:', '')}>`,
+      allowed_mentions: { parse: [] },
+      flags: DISCORD_EPHEMERAL
+    }
+  });
+}
+
+async function handleDiscordCommand(interaction, env, ctx) {
+  // Registration hides the commands from non-admins, but server admins can hand
+  // them to any role, so check the staff roles here as well
+  const principal = getDiscordPrincipal(interaction, env);
+  if (!principal) return discordEphemeral('Only VATPAC staff can use these commands.');
+
+  const name = interaction.data?.name;
+  const options = getCommandOptions(interaction);
+  let run;
+  // Replies that show exclusions go only to the staff member who asked
+  let ephemeral = false;
+
+  if (name === 'exclude') return runExcludeCommand(interaction, env, principal);
+  if (name === 'currency') {
+    const cid = String(options.cid || '').trim();
+    if (!/^\d{3,10}$/.test(cid)) return discordEphemeral('Invalid CID.');
+    run = () => runCurrencyCommand(env, cid);
+    ephemeral = true;
+  } else if (name === 'online') {
+    run = () => runOnlineCommand(env);
+    ephemeral = true;
+  } else if (name === 'flagged') {
+    if (!['visiting', 'local'].includes(options.type)) return discordEphemeral('Type must be visiting or local.');
+    run = () => runFlaggedCommand(env, options.type);
+  } else {
+    return discordEphemeral('Unknown command.');
+  }
+
+  // Loading StatSim or the VATSIM feed can outlast Discord's 3 second deadline,
+  // so acknowledge now and fill the reply in once the work is done
+  ctx.waitUntil(run()
+    .catch(err => {
+      logger.error('Discord command failed', err, { command: name });
+      return { content: `Something went wrong running /${name}: ${err.message}` };
+    })
+    .then(data => editDiscordReply(interaction, data)));
+  return discordResponse({
+    type: DISCORD_RESPONSE.DEFERRED_MESSAGE,
+    ...(ephemeral ? { data: { flags: DISCORD_EPHEMERAL } } : {})
+  });
+}
+
+async function handleDiscordInteraction(request, env, ctx) {
+  if (!env.DISCORD_PUBLIC_KEY) {
+    return jsonResponse({ error: 'Discord interactions not configured' }, 503, env, request);
+  }
+  const interaction = await verifyDiscordRequest(request, env);
+  if (!interaction) return new Response('Invalid request signature', { status: 401 });
+
+  switch (interaction.type) {
+    case DISCORD_INTERACTION.PING:
+      return discordResponse({ type: DISCORD_RESPONSE.PONG });
+    case DISCORD_INTERACTION.COMMAND:
+      return handleDiscordCommand(interaction, env, ctx);
+    case DISCORD_INTERACTION.COMPONENT:
+      return handleDiscordComponent(interaction, env);
+    default:
+      return discordEphemeral('Unsupported interaction.');
+  }
+}
+
 // ==================== Worker Entry Points ====================
 
 export default {
@@ -1931,8 +6053,12 @@ export default {
         return handleCORS(env, request);
       }
 
+      await loadPolicy(env);
+
       // Handle /test-vatsim/:cid - test single VATSIM API call from Worker
       if (url.pathname.startsWith('/test-vatsim/')) {
+        const auth = await requireRole(request, env, 'staff');
+        if (auth.response) return auth.response;
         const cid = url.pathname.split('/')[2];
         try {
           const apiUrl = `https://api.vatsim.net/v2/members/${cid}/atc?limit=1`;
@@ -1951,8 +6077,11 @@ export default {
 
       // Handle /live-check - runs live VATSIM rating + ATIS check
       if ((url.pathname === '/live-check' || url.pathname === '/api/live-check') && request.method === 'POST') {
+        const auth = await requireRole(request, env, 'staff');
+        if (auth.response) return auth.response;
         try {
           const result = await checkAndAlertLiveViolations(env);
+          await recordStaffAction(env, auth.principal, 'live-check', { reason: getActionReason(url) });
           return jsonResponse({ success: true, ...result }, 200, env, request);
         } catch (e) {
           return jsonResponse({ success: false, error: e.message }, 500, env, request);
@@ -1961,8 +6090,11 @@ export default {
 
       // Handle /enrich - runs VATSIM enrichment only
       if (url.pathname === '/enrich' && request.method === 'POST') {
+        const auth = await requireRole(request, env, 'staff');
+        if (auth.response) return auth.response;
         try {
           const stats = await enrichFlaggedWithVatsimLastSession(env);
+          await recordStaffAction(env, auth.principal, 'enrich', { reason: getActionReason(url) });
           return jsonResponse({ success: true, enrichment: stats }, 200, env, request);
         } catch (e) {
           return jsonResponse({ success: false, error: e.message, stack: e.stack }, 500, env, request);
@@ -1971,8 +6103,14 @@ export default {
 
       // Handle /trigger and /api/trigger - runs full audit in single invocation
       if ((url.pathname === '/trigger' || url.pathname === '/api/trigger') && request.method === 'POST') {
+        const auth = await requireRole(request, env, 'staff');
+        if (auth.response) return auth.response;
         const result = await runDailyAudit(env);
         result.message = 'All audits complete.';
+        await recordStaffAction(env, auth.principal, 'audit.trigger', {
+          reason: getActionReason(url),
+          details: { snapshot: result.snapshot || null }
+        });
         
         return jsonResponse({
           success: true,
@@ -1982,15 +6120,19 @@ export default {
 
       // Handle /reset - clears all data and resets state
       if (url.pathname === '/reset' && request.method === 'POST') {
+        const auth = await requireRole(request, env, 'admin');
+        if (auth.response) return auth.response;
         const store = await loadStore(env);
         store.initFlags = { visitingInit: false, localInit: false };
         store.batchProgress = { visitingOffset: 0, localOffset: 0 };
         store.visiting = [];
         store.local = [];
+        store.endorsements = [];
         store.lastRun = null;
         await saveStore(env, store);
         
         logger.info('Worker reset via /reset endpoint');
+        await recordStaffAction(env, auth.principal, 'reset', { reason: getActionReason(url) });
         
         return jsonResponse({
           success: true,
@@ -1999,16 +6141,17 @@ export default {
       }
 
       if (url.pathname.startsWith('/api/')) {
-        return await handleAPI(request, env);
+        return await handleAPI(request, env, ctx);
       }
 
       if (url.pathname === '/') {
         return jsonResponse({
           status: 'ok',
           version: '4.0.0',
+          policyVersion: POLICY.version,
           requirements: {
-            visiting: `${VISITING_HOURS_REQUIRED} hours per ${MONTHS_LOOKBACK} months`,
-            local: `Once per ${LOCAL_MONTHS_REQUIRED} months`
+            visiting: `${POLICY.visitingHoursRequired} hours per ${POLICY.monthsLookback} months`,
+            local: `Once per ${POLICY.localMonthsRequired} months`
           }
         }, 200, env, request);
       }
@@ -2024,6 +6167,8 @@ export default {
   async scheduled(event, env, ctx) {
     logger.info('Scheduled task triggered', { scheduledTime: event.scheduledTime });
     try {
+      await loadPolicy(env);
+
       // Run live rating/ATIS check on every scheduled tick
       const liveResult = await checkAndAlertLiveViolations(env);
       logger.info('Live violation check complete', liveResult);
@@ -2038,6 +6183,12 @@ export default {
         logger.info('Scheduled daily audit complete');
       } else {
         logger.info('Skipping daily audit — last run was recent', { hoursSinceLastAudit: Math.round(hoursSinceLastAudit) });
+        // Digests wait for a tick without the audit, which already uses most of the subrequests
+        try {
+          await sendDueDigests(env);
+        } catch (e) {
+          logger.error('Digest delivery failed (non-fatal)', e);
+        }
       }
     } catch (error) {
       logger.error('Scheduled task failed', error);